@@ -4,546 +4,2160 @@ window.addEventListener('DOMContentLoaded', () => {
     // --- 1. DOM Element Selection ---
     const video = document.getElementById('webcam');
     const canvas = document.getElementById('display');
-    const ctx = canvas.getContext('2d');
     const filterList = document.getElementById('filter-list');
     const randomBtn = document.getElementById('random-filter-btn');
     const screenshotBtn = document.getElementById('screenshot-btn');
     const recordBtn = document.getElementById('record-btn');
     const descriptionBox = document.getElementById('description-box');
+    const paramPanel = document.getElementById('param-panel');
+    const container = document.querySelector('.psyche-container');
+    const cameraSourceBtn = document.getElementById('camera-source-btn');
+    const fileSourceBtn = document.getElementById('file-source-btn');
+    const patternSourceBtn = document.getElementById('pattern-source-btn');
+    const fileInput = document.getElementById('file-input');
+    const archetypeImportBtn = document.getElementById('archetype-import-btn');
+    const archetypeExportBtn = document.getElementById('archetype-export-btn');
+    const archetypeFileInput = document.getElementById('archetype-file-input');
+    const lutIntensityInput = document.getElementById('lut-intensity');
+    const lutNameEl = document.getElementById('lut-name');
+    const lutLoadBtn = document.getElementById('lut-load-btn');
+    const lutResetBtn = document.getElementById('lut-reset-btn');
+    const lutFileInput = document.getElementById('lut-file-input');
+    const motionToggle = document.getElementById('motion-toggle');
+    const motionSensitivityInput = document.getElementById('motion-sensitivity');
+    const motionMeterEl = document.getElementById('motion-meter');
+    const audioToggle = document.getElementById('audio-toggle');
+    const audioSensitivityInput = document.getElementById('audio-sensitivity');
+    const audioMeterEl = document.getElementById('audio-meter');
+    const cameraSelect = document.getElementById('camera-select');
+    const cameraResolutionSelect = document.getElementById('camera-resolution');
+    const cameraFlipBtn = document.getElementById('camera-flip-btn');
+    const countdownEl = document.getElementById('countdown');
+    const statusBanner = document.getElementById('status-banner');
+    const galleryBtn = document.getElementById('gallery-btn');
+    const galleryPanel = document.getElementById('gallery-panel');
+    const galleryGrid = document.getElementById('gallery-grid');
+    const galleryEmpty = document.getElementById('gallery-empty');
+    const galleryUsage = document.getElementById('gallery-usage');
+    const galleryQuotaSelect = document.getElementById('gallery-quota');
+    const galleryAutoDownloadToggle = document.getElementById('gallery-autodownload');
+    const galleryExportBtn = document.getElementById('gallery-export-btn');
+    const galleryClearBtn = document.getElementById('gallery-clear-btn');
+    const galleryPreview = document.getElementById('gallery-preview');
+    const timelapseBtn = document.getElementById('timelapse-btn');
+    const captureModeSelect = document.getElementById('capture-mode');
+    const burstCountSelect = document.getElementById('burst-count');
+    const burstIntervalSelect = document.getElementById('burst-interval');
+    const burstOutputSelect = document.getElementById('burst-output');
+    const timelapseIntervalSelect = document.getElementById('timelapse-interval');
+    const timelapseLengthSelect = document.getElementById('timelapse-length');
+    const timelapseOutputSelect = document.getElementById('timelapse-output');
+    const hud = document.getElementById('hud');
+    const hudToggle = document.getElementById('hud-toggle');
+    const adaptiveToggle = document.getElementById('adaptive-toggle');
+    const reduceMotionToggle = document.getElementById('reduce-motion-toggle');
+    const recordDurationSelect = document.getElementById('record-duration');
+    const recordCountdownToggle = document.getElementById('record-countdown');
+    const recordTimerToggle = document.getElementById('record-timer');
+    const recordFormatSelect = document.getElementById('record-format');
+    const layerList = document.getElementById('layer-list');
+    const addLayerBtn = document.getElementById('add-layer-btn');
+    const transitionStyleSelect = document.getElementById('transition-style');
+    const transitionDurationSelect = document.getElementById('transition-duration');
+    const compareModeSelect = document.getElementById('compare-mode');
+    const compareSplitLabel = document.getElementById('compare-split-label');
+    const compareSplitInput = document.getElementById('compare-split');
 
     // --- 2. Archetype Data ---
-    const archetypes = [
-        {
-            id: 'self',
-            name: 'The Self',
-            symbol: 'fa-solid fa-circle-dot', // Represents wholeness
-            description: 'The unified whole of the conscious and unconscious. Wholeness, integration, and the center of the total personality.'
-        },
-        {
-            id: 'persona',
-            name: 'The Persona',
-            symbol: 'fa-solid fa-theater-masks', // The social mask
-            description: 'The social mask or facade you present to the world. It conceals your true self.'
-        },
-        {
-            id: 'shadow',
-            name: 'The Shadow',
-            symbol: 'fa-solid fa-square-full', // Represents the dense, unknown
-            description: 'The unknown, dark side of the personality. The repressed, instinctive, and inferior parts of the psyche.'
-        },
-        {
-            id: 'anima',
-            name: 'The Anima/Animus',
-            symbol: 'fa-solid fa-moon', // The inner, intuitive, 'feminine'
-            description: 'The inner, unconscious feminine side in men (Anima) or masculine side in women (Animus). Represents intuition and soul.'
-        },
-        {
-            id: 'trickster',
-            name: 'The Trickster',
-            symbol: 'fa-solid fa-wand-magic-sparkles', // Chaos and disruption
-            description: 'The archetype of chaos, disruption, and challenging norms. It exposes hypocrisy and creates new possibilities.'
-        }
-    ];
+    // Archetypes live in the registry (see registry.js / archetypes.js) so
+    // extra ones can be added from separate script files.
+    const { listArchetypes, getArchetype, onArchetypeRegistered, defineArchetype } = window.PsycheOS;
+    const definitions = window.PsycheOS.definitions;
+    const { listCameras, createCameraSource, createFileSource, createTestPatternSource } = window.PsycheOS.sources;
+    const { PsycheError, toPsycheError } = window.PsycheOS.errors;
+    const gallery = window.PsycheOS.gallery;
+    const { parseLink, buildLink } = window.PsycheOS.session;
+    const embed = window.PsycheOS.embed;
 
     // --- 3. State Variables ---
-    let currentFilter = archetypes[0]; // Default to 'The Self'
-    let videoReady = false;
+    const urlParams = new URLSearchParams(window.location.search);
+
+    // ?renderer=2d forces the CPU (2D canvas) path for the pixel filters
+    if (urlParams.get('renderer') === '2d') {
+        window.PsycheOS.gpu.enabled = false;
+    }
+
+    // --- Tunable Parameter State ---
+    // Only values the user changed are stored: { archId: { paramId: value } }
+    const PARAMS_STORAGE_KEY = 'psycheos.params';
+    let paramOverrides = loadParamOverrides();
+    // Values from a shared link, used for this visit only and never saved.
+    // They win over paramOverrides until the user moves that parameter.
+    let linkParams = {};
+
+    let currentFilter = listArchetypes()[0]; // Default to 'The Self'
+    let previewFilter = null; // Shown instead of currentFilter while the slot machine spins
+    let activeSource = null; // Current input (see sources.js)
+    let cameraOptions = { deviceId: '', facingMode: 'user', resolution: '720p' }; // Picked in the source bar
+    let cameraRecovering = false; // True while replacing a camera that went away
+    const CAMERA_ERROR_CODES = ['permission-denied', 'device-busy', 'no-camera', 'playback-failed'];
+    let renderHost = null; // Where the frame pipeline runs (see render-host.js)
+    let transition = null; // { fromId, style, start, duration } while blending between archetypes
+
+    // --- Custom Archetype State ---
+    // Imported JSON definitions (see definitions.js), re-defined on every visit
+    const CUSTOM_ARCHETYPES_KEY = 'psycheos.archetypes';
+
+    // --- LUT State ---
+    // .cube files users loaded for an archetype: { archId: { name, text } }
+    const LUT_STORAGE_KEY = 'psycheos.luts';
+    let userLuts = loadUserLuts();
+    const lutNames = {}; // archId -> name of the LUT in use (for the options row)
+
+    // --- Layer Stack State ---
+    // Extra archetypes composited over currentFilter: [{ filterId, opacity, blend }]
+    const MAX_LAYERS = 4; // Every layer re-runs a full archetype per frame
+    let layers = [];
+
+    // --- Comparison State ---
+    // The split and grid views are read from their controls every frame
+    const COMPARE_CYCLE = ['off', ...window.PsycheOS.COMPARE_MODES];
+    const ICON_SIZE = 64; // px, grid label symbols are drawn into bitmaps this big
 
     // --- New Recording State Variables ---
     let mediaRecorder;
     let recordedChunks = [];
-    let isRecording = false;
+    let recordingState = 'idle'; // 'idle' | 'countdown' | 'recording'
+    let recordingStartTime = 0;
+    let recordingDuration = 0;   // ms, 0 = until stopped
+    let recordingStopTimer = null;
+    let countdownInterval = null;
+    let recordedStacks = [];     // Layer stacks visited during the clip
+    let recordingFormat = 'video'; // 'video' | 'gif' | 'png'
+
+    // --- Frame Capture (GIF / PNG sequence) State ---
+    const FRAME_CAPTURE_FPS = 10;
+    const GIF_MAX_WIDTH = 480;   // GIFs get big fast; keep them shareable
+    let frameCaptureInterval = null;
+    let frameCapturePending = null; // Promise of the frame being grabbed
+    let gifEncoder = null;
+    let pngFrames = [];
+
+    // --- Capture Gallery State ---
+    const GALLERY_SETTINGS_KEY = 'psycheos.gallery';
+    const THUMBNAIL_WIDTH = 160;
+    const THUMBNAIL_TIMEOUT = 5000; // ms to wait for a video's first frame
+    let galleryUrls = [];   // Thumbnail object URLs, revoked when the grid is rebuilt
+    let previewUrl = null;  // Object URL of the capture open in the preview dialog
+
+    // --- Burst & Time-lapse State ---
+    const TIMELAPSE_MAX_WIDTH = 1280; // Frames are kept as JPEGs at this size
+    const TIMELAPSE_FPS = 10;         // Playback speed of the assembled video
+    const TIMELAPSE_MAX_CELLS = 64;   // Grid images sample at most this many frames
+    let timelapse = null; // { frames, times, start, stack, width, height, sampleTimer, stopTimer, pending }
+
+    // --- Performance State ---
+    const HUD_UPDATE_INTERVAL = 250; // ms
+    const frameStats = window.PsycheOS.perf.createFrameStats();
+    const quality = window.PsycheOS.perf.createQualityController();
+    let loopFrame = 0;          // rAF ticks, for frame skipping
+    let statsFrame = 0;         // Last host frame folded into frameStats
+    let lastHudUpdate = 0;
+
+    // --- Modulation State ---
+    // Movement and loudness levels archetypes react to (see modulation.js)
+    const motionMeter = window.PsycheOS.modulation.createMotionMeter();
+    let audioMeter = null; // Created when the user switches the microphone on
+    let modulation = { motion: 0, audio: 0 };
+
+    // --- Session State ---
+    // The look is mirrored into the URL hash (see session.js) and, with the
+    // option controls below, into localStorage for the next visit
+    const SESSION_STORAGE_KEY = 'psycheos.session';
+    const SESSION_CONTROLS = [
+        'transition-style', 'transition-duration', 'record-duration', 'record-format',
+        'record-countdown', 'record-timer', 'capture-mode', 'burst-count', 'burst-interval',
+        'burst-output', 'timelapse-interval', 'timelapse-length', 'timelapse-output',
+        'hud-toggle', 'adaptive-toggle', 'camera-resolution', 'lut-intensity',
+        'motion-toggle', 'motion-sensitivity', 'audio-sensitivity', 'compare-mode',
+        'compare-split'
+    ];
+    const kiosk = urlParams.get('kiosk') === '1'; // Installations: just the mirror
+
+    // --- Embed State ---
+    // Host pages drive the mirror through PsycheOS.mirror or postMessage (see embed.js)
+    const headless = urlParams.get('headless') === '1'; // The host brings its own controls
+    const RECORDING_KINDS = ['video', 'gif', 'png-sequence']; // Capture kinds a recording ends in
+    const mirrorEvents = embed.createEmitter();
+    let markStarted = null; // { resolve, reject } of the API's ready promise
+
+    // --- Accessibility State ---
+    // Follows the OS setting until the user flips the toggle
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    let reducedMotion = reducedMotionQuery.matches;
 
     // --- 4. Core Functions ---
 
     /**
      * Initializes the application:
-     * 1. Starts the webcam
-     * 2. Populates the filter buttons
-     * 3. Sets up event listeners
+     * 1. Defines the imported archetypes and restores the last session
+     *    (or opens the deep-linked look)
+     * 2. Starts the webcam (or the test pattern if that fails)
+     * 3. Populates the filter buttons
+     * 4. Sets up event listeners
+     * Embed API commands sent meanwhile wait until this is done.
      */
     async function init() {
+        document.body.classList.toggle('kiosk', kiosk);
+        document.body.classList.toggle('headless', headless);
+        startMirrorApi();
+        loadCustomArchetypes(); // Before the session, which may name one
+        restoreSession();
+
+        // ?source=pattern starts on the test pattern without asking for the camera
+        if (urlParams.get('source') === 'pattern') {
+            useSource(createTestPatternSource());
+        } else {
+            try {
+                await startCamera();
+            } catch (err) {
+                // Keep going so files and the test pattern still work
+                // (startCamera has already shown why in the status banner)
+                console.warn("No camera, falling back to the test pattern.");
+                useSource(createTestPatternSource());
+            }
+        }
+
         try {
-            await startCamera();
+            // ?worker=0 keeps frame processing on the main thread
+            renderHost = await window.PsycheOS.createRenderHost(canvas, {
+                worker: urlParams.get('worker') !== '0'
+            });
+            console.log("Frame pipeline running on:", renderHost.mode === 'worker' ? "render worker" : "main thread");
+            console.log("Pixel filters running on:", renderHost.gpu ? "WebGL" : "2D canvas");
             initFilterButtons();
             initEventListeners();
-            applyFilter(currentFilter.id); // Apply the default filter
+            renderLayerList();
+            updateArchetypeExport();
+            listArchetypes().forEach(loadArchetypeLut);
+            listArchetypes().forEach(sendArchetypeIcon);
+            applyFilter(currentFilter.id); // Apply the default (or restored) filter
+            checkWysiwyg();
             renderLoop(); // Start the main render loop
+
+            markStarted.resolve();
+            mirrorEvents.emit('ready', {
+                archetype: currentFilter.id,
+                archetypes: listArchetypes().map(publicArchetype)
+            });
         } catch (err) {
             console.error("Error initializing app:", err);
-            // We alert in startCamera now, so this is a fallback.
+            showStatus(toPsycheError(err, 'startup-failed'), [
+                { label: 'Reload', run: () => window.location.reload() }
+            ]);
+            markStarted.reject(toPsycheError(err, 'startup-failed'));
+        }
+    }
+
+    // --- 4b. Status Banner ---
+
+    /**
+     * Shows a non-blocking message above the mirror. actions is a list of
+     * { label, run } buttons (e.g. Retry); the banner can always be dismissed.
+     */
+    function showStatus(error, actions = []) {
+        statusBanner.dataset.code = error.code || '';
+        statusBanner.querySelector('.status-message').textContent = error.message;
+
+        const actionBox = statusBanner.querySelector('.status-actions');
+        actionBox.innerHTML = '';
+        actions.forEach(action => {
+            const btn = document.createElement('button');
+            btn.className = 'status-action';
+            btn.textContent = action.label;
+            btn.addEventListener('click', () => {
+                clearStatus();
+                action.run();
+            });
+            actionBox.appendChild(btn);
+        });
+
+        statusBanner.hidden = false;
+    }
+
+    /**
+     * Hides the banner; with codes, only if it is showing one of those
+     */
+    function clearStatus(codes) {
+        if (codes && !codes.includes(statusBanner.dataset.code)) return;
+        statusBanner.hidden = true;
+    }
+
+    /**
+     * Camera problems: explain, offer a retry and the camera-free options
+     */
+    function showCameraError(error) {
+        const actions = [];
+        if (navigator.mediaDevices) { // No point retrying on insecure pages
+            actions.push({ label: 'Retry', run: () => startCamera().catch(() => {}) });
         }
+        actions.push({ label: 'Open file', run: () => fileInput.click() });
+        showStatus(error, actions);
+        container.classList.add('degraded');
     }
 
     /**
-     * Accesses the user's webcam and sets up the video element
+     * Accesses the user's webcam (as picked in cameraOptions) and makes it
+     * the active source
      */
     async function startCamera() {
+        // Release the current camera first: phones often can't open the
+        // front and back camera at the same time
+        if (activeSource && activeSource.kind === 'camera') {
+            activeSource.stop();
+        }
+
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: { width: 1280, height: 720 }, // Request HD if possible
-                audio: false
-            });
-            video.srcObject = stream;
-            
-            // Wait for the video to load its metadata (dimensions)
-            return new Promise((resolve, reject) => {
-                video.onloadedmetadata = () => {
-                    // Set canvas dimensions to match the video feed
-                    canvas.width = video.videoWidth;
-                    canvas.height = video.videoHeight;
-                    videoReady = true;
-
-                    // --- CRITICAL FIX ---
-                    // Manually start playback as autoplay can be unreliable
-                    video.play().then(() => {
-                        console.log("Video playback started successfully.");
-                        resolve(); // Resolve the promise *after* play starts
-                    }).catch(e => {
-                        console.error("Video play failed:", e);
-                        alert("Video playback failed. Please check console.");
-                        reject(e); // Reject the promise if play fails
-                    });
-                };
-                video.onerror = (e) => {
-                     console.error("Video element error:", e);
-                     alert("Video element error. Cannot play stream.");
-                     reject(e);
-                };
-            });
+            useSource(await createCameraSource(video, Object.assign({}, cameraOptions, {
+                onEnded: handleCameraLost
+            })));
+            refreshCameraList(); // Labels are only readable after permission
+            clearStatus(CAMERA_ERROR_CODES);
+            container.classList.remove('degraded');
         } catch (err) {
-             console.error("Camera access denied or failed:", err);
-             if (err.name === "NotAllowedError") {
-                alert("Camera permission was denied. Please allow camera access in your browser settings and refresh.");
-             } else {
-                alert("Could not access webcam. Is it being used by another app? Error: " + err.message);
+             // Don't leave the mirror frozen on the camera we just stopped
+             if (activeSource && activeSource.kind === 'camera') {
+                 useSource(createTestPatternSource());
              }
-             throw err; // Re-throw error to stop init()
+             console.error("Camera access denied or failed:", err);
+             showCameraError(toPsycheError(err, 'device-busy'));
+             throw err; // Re-throw so callers can fall back
         }
     }
 
     /**
-     * The main render loop, called for every frame
+     * Fills the camera picker from enumerateDevices and shows the flip
+     * button when there is more than one camera
      */
-    function renderLoop() {
-        if (!videoReady) {
-            requestAnimationFrame(renderLoop); // Wait until video is ready
-            return;
+    async function refreshCameraList() {
+        let cameras = [];
+        try {
+            cameras = await listCameras();
+        } catch (err) {
+            console.warn("Could not list cameras:", err);
         }
 
-        // Save the default canvas state
-        ctx.save();
+        const selected = activeSource && activeSource.kind === 'camera'
+            ? activeSource.deviceId
+            : cameraOptions.deviceId;
 
-        // --- Core Drawing ---
-        // 1. Mirror the canvas (to match the CSS flip)
-        ctx.translate(canvas.width, 0);
-        ctx.scale(-1, 1);
-        
-        // 2. Clear previous frame
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        cameraSelect.innerHTML = '';
+        cameraSelect.add(new Option('Default camera', ''));
+        cameras.forEach(camera => cameraSelect.add(new Option(camera.label, camera.deviceId)));
+        cameraSelect.value = cameras.some(camera => camera.deviceId === selected) ? selected : '';
+
+        cameraSelect.hidden = cameras.length < 2;
+        cameraFlipBtn.hidden = cameras.length < 2;
+        return cameras;
+    }
+
+    /**
+     * Switches between the front ('user') and back ('environment') camera
+     */
+    function flipCamera() {
+        const facing = activeSource && activeSource.kind === 'camera' && activeSource.facingMode
+            ? activeSource.facingMode
+            : cameraOptions.facingMode;
+        cameraOptions.facingMode = facing === 'environment' ? 'user' : 'environment';
+        cameraOptions.deviceId = ''; // facingMode only applies without a fixed device
+        startCamera().catch(() => {});
+    }
+
+    /**
+     * The active camera stopped (unplugged, revoked, ...): switch to another
+     * camera if there is one, else to the test pattern
+     */
+    async function handleCameraLost() {
+        if (cameraRecovering) return;
+        cameraRecovering = true;
+        console.warn("Camera disconnected:", activeSource ? activeSource.name : "");
+
+        try {
+            const cameras = await refreshCameraList();
+            if (!cameras.some(camera => camera.deviceId === cameraOptions.deviceId)) {
+                cameraOptions.deviceId = ''; // The picked one is gone; take any
+            }
+            if (cameras.length) {
+                await startCamera();
+            } else {
+                useSource(createTestPatternSource());
+                showCameraError(new PsycheError('no-camera', "The camera was disconnected. Showing the test pattern instead."));
+            }
+        } catch (err) {
+            // startCamera has already fallen back to the test pattern
+        } finally {
+            cameraRecovering = false;
+        }
+    }
+
+    /**
+     * Cameras were plugged in or removed
+     */
+    async function handleDeviceChange() {
+        await refreshCameraList();
+        if (activeSource && activeSource.kind === 'camera' && !activeSource.isLive()) {
+            handleCameraLost();
+        }
+    }
+
+    /**
+     * Loads a picked or dropped image/video file as the active source
+     */
+    async function loadFile(file) {
+        try {
+            useSource(await createFileSource(file));
+            clearStatus(['unsupported-file', 'playback-failed']);
+        } catch (err) {
+            console.error("Could not load file:", err);
+            showStatus(toPsycheError(err, 'unsupported-file'), [
+                { label: 'Open another', run: () => fileInput.click() }
+            ]);
+        }
+    }
 
-        // 3. Apply dynamic (per-frame) filter effects
-        applyDynamicFilter(currentFilter.id);
+    /**
+     * Switches the mirror to a new input source, releasing the old one
+     */
+    function useSource(source) {
+        if (activeSource && activeSource !== source) {
+            activeSource.stop();
+        }
+        activeSource = source;
+        motionMeter.reset(); // Don't count the switch itself as movement
+        console.log("Source:", source.name);
+
+        // Update active source button state
+        cameraSourceBtn.classList.toggle('active', source.kind === 'camera');
+        fileSourceBtn.classList.toggle('active', source.kind === 'image' || source.kind === 'video');
+        patternSourceBtn.classList.toggle('active', source.kind === 'pattern');
+    }
 
-        // 4. Draw the current video frame onto the canvas
-        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    /**
+     * The main render loop, called for every frame
+     */
+    function renderLoop() {
+        if (!activeSource || !activeSource.isReady()) {
+            requestAnimationFrame(renderLoop); // Wait until the source is ready
+            return;
+        }
 
-        // 5. Apply static overlay effects (after drawing the video)
-        applyOverlayFilter(currentFilter.id);
+        // Adaptive quality may only process every 2nd/3rd frame
+        loopFrame++;
+        if (loopFrame % quality.frameSkip === 0) {
+            // Hand the current source frame to the pipeline
+            const state = createFrameState();
+            if (activeSource.update) {
+                activeSource.update(state.time);
+            }
+            state.modulation = measureModulation();
+            renderHost.render(activeSource.element, state);
+        }
 
-        // Restore the canvas state to remove transformations
-        ctx.restore();
+        trackPerformance(performance.now());
 
         // Request the next frame
         requestAnimationFrame(renderLoop);
     }
 
+    /**
+     * Folds new frame timings into the stats, adapts the quality level and
+     * refreshes the HUD
+     */
+    function trackPerformance(now) {
+        const stats = renderHost.stats;
+        if (stats.frames !== statsFrame && stats.timings) {
+            statsFrame = stats.frames;
+            frameStats.add(stats.timings, now);
+
+            // Keep the size steady while recording so the video doesn't
+            // change resolution mid-clip. The frame interval catches GPU
+            // work the stage timings only see being submitted.
+            if (recordingState !== 'recording' &&
+                quality.update(frameStats.averages.total, now, frameStats.interval)) {
+                console.log(`Adaptive quality: ${Math.round(quality.scale * 100)}% resolution, every ${quality.frameSkip} frame(s)`);
+            }
+        }
+
+        if (!hud.hidden && now - lastHudUpdate >= HUD_UPDATE_INTERVAL) {
+            lastHudUpdate = now;
+            updateHud();
+        }
+    }
+
+    function updateHud() {
+        const avg = frameStats.averages;
+        const ms = (stage) => `${(avg[stage] || 0).toFixed(1).padStart(5)} ms`;
+        // The LUT and the post hooks' shaders go through gl.js, so on WebGL
+        // those stages only time submitting the work to the GPU
+        const gpu = renderHost.gpu ? ' (GPU, submit)' : '';
+        const width = Math.round(activeSource.width * quality.scale);
+        const height = Math.round(activeSource.height * quality.scale);
+
+        hud.textContent = [
+            `FPS      ${frameStats.fps.toFixed(1)}`,
+            `dynamic  ${ms('dynamic')}`,
+            `draw     ${ms('draw')}`,
+            `lut      ${ms('lut')}${gpu}`,
+            `overlay  ${ms('overlay')}${gpu}`,
+            `grade    ${ms('grade')}`,
+            `total    ${ms('total')} / ${quality.budget.toFixed(1)}`,
+            `frame    ${frameStats.interval.toFixed(1).padStart(5)} ms`,
+            `res      ${width}x${height} (${Math.round(quality.scale * 100)}%)`,
+            `frames   ${quality.frameSkip === 1 ? 'all' : `1 in ${quality.frameSkip}`}${quality.enabled ? ' (adaptive)' : ''}`,
+            `${renderHost.mode === 'worker' ? 'worker' : 'main thread'}, ${renderHost.gpu ? 'WebGL' : '2D canvas'}`
+        ].join('\n');
+    }
+
     // --- 5. Filter Logic ---
 
     /**
      * Applies the selected filter by updating state, CSS class, and description
      */
     function applyFilter(filterId) {
-        // Find the archetype object from our data
-        currentFilter = archetypes.find(a => a.id === filterId);
+        // Find the archetype object from the registry
+        const arch = getArchetype(filterId);
+        if (!arch) {
+            console.warn("Unknown archetype:", filterId);
+            return;
+        }
+
+        // Blend out of whatever is on screen (the slot machine preview included)
+        const previous = currentFilter;
+        const outgoing = previewFilter || currentFilter;
+        previewFilter = null;
+        currentFilter = arch;
+        if (outgoing && outgoing.id !== arch.id) {
+            startTransition(outgoing.id);
+        }
 
-        // 1. Update CSS class for base color grading
+        // 1. Update CSS class (the color grade itself is baked into the canvas)
         canvas.className = currentFilter.id;
-        
+
         // 2. Update description box
-        descriptionBox.innerHTML = `<h3>${currentFilter.name}</h3><p>${currentFilter.description}</p>`;
+        // (as text: imported archetypes bring their own names and descriptions)
+        const title = document.createElement('h3');
+        title.textContent = currentFilter.name;
+        const description = document.createElement('p');
+        description.textContent = currentFilter.description;
+        descriptionBox.replaceChildren(title, description);
         descriptionBox.classList.add('visible');
 
         // 3. Update active button state
-        document.querySelectorAll('.filter-list button').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === filterId);
-        });
+        setActiveButton(filterId);
+        updateLutControls();
+
+        // 3b. Show its tunable parameters
+        renderParamPanel(currentFilter);
+
+        // 4. Remember the archetypes a recording moves through
+        noteRecordedStack();
+
+        // 5. Keep the URL and the saved session in step
+        sessionChanged();
+
+        // 6. Tell embedding pages
+        if (previous.id !== arch.id) {
+            mirrorEvents.emit('archetypechange', { id: arch.id, name: arch.name, previousId: previous.id });
+        }
     }
 
     /**
-     * Applies DYNAMIC (per-frame) canvas effects BEFORE drawing the video
+     * Names the full stack, base first, e.g. "shadow+anima"
      */
-    function applyDynamicFilter(filterId) {
-        // Reset filter to ensure a clean draw for pixel manipulation
-        ctx.filter = 'none';
+    function stackName() {
+        if (compareModeSelect.value === 'grid') {
+            return listArchetypes().map(arch => arch.id).join('+');
+        }
+        return [currentFilter.id, ...layers.map(layer => layer.filterId)].join('+');
     }
 
     /**
-     * Applies STATIC (overlay) canvas effects AFTER drawing the video
+     * Adds the current stack to the recording's file name if it changed
      */
-    function applyOverlayFilter(filterId) {
-        switch (filterId) {
-            case 'shadow':
-                applyShadowEffect();
-                break;
-            case 'anima':
-                applyAnimaEffect(); // White Outline Filter
-                break;
-            case 'self':
-                applySelfEffect();
-                break;
-            case 'persona':
-                applyPersonaEffect();
-                break;
-            case 'trickster':
-                applyTricksterEffect(); // Simplified Red-Black Filter
-                break;
+    function noteRecordedStack() {
+        const name = stackName();
+        if (recordingState === 'recording' && recordedStacks[recordedStacks.length - 1] !== name) {
+            recordedStacks.push(name);
         }
     }
 
-    // --- Specific Canvas Effect Functions ---
-
-    function applyShadowEffect() {
-        const width = canvas.width;
-        const height = canvas.height;
-
-        // 1. Dark Vignette (already darkened)
-        const gradient = ctx.createRadialGradient(width / 2, height / 2, width / 3, width / 2, height / 2, width / 1.5);
-        gradient.addColorStop(0, 'rgba(0,0,0,0)');
-        gradient.addColorStop(1, 'rgba(0,0,0,0.85)');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, width, height);
-
-        // 2. Slice Glitch (now more frequent and slightly larger)
-        if (Math.random() > 0.85) { // <-- Increased frequency from 0.92
-            for (let i = 0; i < 2; i++) { // Run it a couple of times
-                const y = Math.random() * height;
-                const h = Math.random() * 30 + 10; // Slightly larger
-                const xOffset = (Math.random() - 0.5) * 40;
-                ctx.drawImage(canvas, xOffset, y, width, h, 0, y, width, h);
-            }
-        }
-
-        // 3. NEW: Subtle RGB Split Glitch
-        if (Math.random() > 0.95) { // Happens rarely, like a flicker
-            ctx.globalCompositeOperation = 'lighter'; // Additive blending
-            const offset = (Math.random() - 0.5) * 10;
-            
-            // Draw red-ish channel offset
-            ctx.drawImage(canvas, offset, 0);
-            
-            // Draw blue-ish channel offset
-            ctx.drawImage(canvas, -offset, 0);
-            
-            ctx.globalCompositeOperation = 'source-over'; // Reset blending
+    /**
+     * Starts blending from the given archetype into currentFilter, using the
+     * style and duration picked in the options row
+     */
+    function startTransition(fromId) {
+        const style = transitionStyleSelect.value;
+        if (style === 'none') {
+            transition = null; // Hard cut
+            return;
         }
+        transition = {
+            fromId,
+            style,
+            start: performance.now(),
+            duration: Number(transitionDurationSelect.value)
+        };
     }
 
     /**
-     * Anima/Animus Filter: White Outline
-     * Applies an edge-detection kernel to create a white outline on a dark background.
+     * The transition part of the frame state, or null once it has finished
      */
-    function applyAnimaEffect() {
-        const width = canvas.width;
-        const height = canvas.height;
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
-        
-        // Create a new pixel array for the output
-        const outputData = ctx.createImageData(width, height);
-        const out = outputData.data;
-
-        // --- Grayscale pass ---
-        const gray = new Uint8ClampedArray(width * height);
-        for (let i = 0; i < data.length; i += 4) {
-            const luma = data[i] * 0.299 + data[i+1] * 0.587 + data[i+2] * 0.114;
-            gray[i / 4] = luma;
+    function transitionState(now) {
+        if (!transition) return null;
+        const progress = (now - transition.start) / transition.duration;
+        if (progress >= 1) {
+            transition = null;
+            return null;
         }
+        return { fromId: transition.fromId, style: transition.style, progress: Math.max(0, progress) };
+    }
 
-        // --- Edge Detection (Laplacian Kernel) ---
-        const threshold = 20; // How sensitive the edge detection is
-        
-        for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-                const i = y * width + x; // Current pixel index in grayscale
-                const outI = i * 4;      // Current pixel index in output RGBA
-
-                // Apply kernel
-                const val = 4 * gray[i] 
-                            - gray[i - 1]           // Left
-                            - gray[i + 1]           // Right
-                            - gray[i - width]       // Top
-                            - gray[i + width];      // Bottom
-                
-                if (Math.abs(val) > threshold) {
-                    // This is an edge, color it WHITE
-                    out[outI] = 255;
-                    out[outI + 1] = 255;
-                    out[outI + 2] = 255;
-                    out[outI + 3] = 255;
-                } else {
-                    // Not an edge, color it DARK GREY
-                    out[outI] = 20;
-                    out[outI + 1] = 20;
-                    out[outI + 2] = 20;
-                    out[outI + 3] = 255;
-                }
-            }
-        }
-        
-        // Put the modified image data back onto the canvas
-        ctx.putImageData(outputData, 0, 0);
-    }
-    
-    function applySelfEffect() {
-        // A subtle, centering golden glow
-        const gradient = ctx.createRadialGradient(canvas.width / 2, canvas.height / 2, canvas.width * 0.7, canvas.width / 2, canvas.height / 2, canvas.width * 0.3);
-        gradient.addColorStop(0, 'rgba(255, 220, 150, 0.0)');
-        gradient.addColorStop(1, 'rgba(255, 220, 150, 0.15)');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-    }
-    
-    function applyPersonaEffect() {
-        // --- Negative Inversion Effect ---
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data; 
-        for (let i = 0; i < data.length; i += 4) {
-            data[i] = 255 - data[i];     // Invert Red
-            data[i + 1] = 255 - data[i + 1]; // Invert Green
-            data[i + 2] = 255 - data[i + 2]; // Invert Blue
-        }
-        ctx.putImageData(imageData, 0, 0);
-
-        // --- "Smoothing" vignette (for a mask-like feel) ---
-        const gradient = ctx.createRadialGradient(canvas.width / 2, canvas.height / 2, canvas.width * 0.4, canvas.width / 2, canvas.height / 2, canvas.width * 0.6);
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.05)'); 
-        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.15)');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-    }
-
-    /**
-     * Trickster Filter: Red-Black Cinematic (Simplified for Performance)
-     * Applies a high-contrast, duotone "redscale" image.
-     */
-    function applyTricksterEffect() {
-        const width = canvas.width;
-        const height = canvas.height;
-
-        // --- Red-Black Cinematic Base ---
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
-        const shadowThreshold = 55;
-        const passionFactor = 1.8; 
-
-        for (let i = 0; i < data.length; i += 4) {
-            // Get the luminance (perceived brightness) of the pixel
-            const luminance = (data[i] * 0.299 + data[i+1] * 0.587 + data[i+2] * 0.114);
-
-            if (luminance <= shadowThreshold) {
-                // --- The Shadow/Control ---
-                // If brightness is below the threshold, crush it to black
-                data[i] = 0;     // Red
-                data[i+1] = 0; // Green
-                data[i+2] = 0; // Blue
-            } else {
-                // --- The Passion/Emotion ---
-                // Otherwise, map that brightness to an intense red
-                data[i] = luminance * passionFactor; // Red channel
-                data[i+1] = 0;                     // Green channel
-                data[i+2] = 0;                     // Blue channel
-            }
-            // data[i+3] (alpha channel) remains unchanged
+    /**
+     * "What you see is what you save" check: the canvas pixels are exported
+     * as-is, so any CSS filter or transform on the display would make
+     * screenshots and recordings differ from the live view.
+     */
+    function checkWysiwyg() {
+        const style = getComputedStyle(canvas);
+        if (style.filter !== 'none' || style.transform !== 'none') {
+            console.warn("Display canvas has CSS filter/transform applied; exports will not match the live view.", {
+                filter: style.filter,
+                transform: style.transform
+            });
+            return false;
         }
-        
-        // Put the modified image data back onto the canvas
-        ctx.putImageData(imageData, 0, 0);
+        return true;
     }
 
-
-    // --- 6. UI & Event Listeners ---
-
     /**
-     * Creates the filter buttons dynamically from the archetype data
+     * Highlights the filter button for the given archetype
      */
-    function initFilterButtons() {
-        archetypes.forEach(arch => {
-            const btn = document.createElement('button');
-            btn.title = arch.name;
-            btn.dataset.filter = arch.id;
-            btn.innerHTML = `<i class="${arch.symbol}"></i>`;
-            btn.addEventListener('click', () => applyFilter(arch.id));
-            filterList.appendChild(btn);
+    function setActiveButton(filterId) {
+        document.querySelectorAll('.filter-list button').forEach(btn => {
+            const active = btn.dataset.filter === filterId;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+            btn.tabIndex = active ? 0 : -1; // Roving focus: Tab lands on the active one
         });
     }
 
     /**
-     * Sets up click listeners for all control buttons
+     * Builds the plain state object the frame pipeline renders from
+     * (see pipeline.js). It must be cloneable so it can go to the worker.
+     * Captures use createCaptureState instead.
      */
-    function initEventListeners() {
-        randomBtn.addEventListener('click', randomFilterSlotMachine);
-        screenshotBtn.addEventListener('click', takeScreenshot);
-        recordBtn.addEventListener('click', startRecording); // New
+    function createFrameState(fullResolution) {
+        const now = performance.now();
+        const scale = fullResolution ? 1 : quality.scale;
+        return {
+            filterId: (previewFilter || currentFilter).id,
+            layers: layers,
+            width: Math.round(activeSource.width * scale),
+            height: Math.round(activeSource.height * scale),
+            params: currentParams(),
+            time: now,
+            recording: recordingState === 'recording' && recordTimerToggle.checked
+                ? { elapsed: now - recordingStartTime, duration: recordingDuration }
+                : null,
+            // The slot machine's quick ticks stay hard cuts
+            transition: previewFilter ? null : transitionState(now),
+            reducedMotion,
+            lutIntensity: Number(lutIntensityInput.value) / 100,
+            modulation,
+            compare: compareState()
+        };
     }
 
     /**
-     * Implements the "slot machine" randomizer
+     * Frame state for a saved still: full resolution (no adaptive
+     * downscaling) and without the REC badge
      */
-    function randomFilterSlotMachine() {
-        let loops = 15; // Number of "ticks"
-        const intervalTime = 80; // Speed of the ticks
-        
-        // Disable buttons during animation
-        randomBtn.disabled = true;
-        filterList.style.pointerEvents = 'none';
-
-        const interval = setInterval(() => {
-            loops--;
-
-            // Pick a random filter just for the visual "spin"
-            const randomArch = archetypes[Math.floor(Math.random() * archetypes.length)];
-            
-            // Apply the CSS class for the fast "tick" effect
-            canvas.className = randomArch.id;
-            // Update active button visuals
-            document.querySelectorAll('.filter-list button').forEach(btn => {
-                btn.classList.toggle('active', btn.dataset.filter === randomArch.id);
-            });
+    function createCaptureState() {
+        return window.PsycheOS.toCaptureState(createFrameState(true));
+    }
 
-            if (loops <= 0) {
-                // Animation finished
-                clearInterval(interval);
-                
-                // Pick the FINAL random filter (and ensure it's not the current one)
-                let finalArch;
-                do {
-                    finalArch = archetypes[Math.floor(Math.random() * archetypes.length)];
-                } while (finalArch.id === currentFilter.id);
 
-                // Apply the final filter properly
-                applyFilter(finalArch.id);
+    // --- 5b. Tunable Parameters ---
 
-                // Re-enable buttons
-                randomBtn.disabled = false;
-                filterList.style.pointerEvents = 'auto';
-            }
-        }, intervalTime);
+    /**
+     * The values of one archetype's tweaked parameters: saved overrides with
+     * any link values on top
+     */
+    function paramsFor(archId) {
+        if (!linkParams[archId]) return paramOverrides[archId];
+        return Object.assign({}, paramOverrides[archId], linkParams[archId]);
     }
 
     /**
-     * Saves a screenshot of the current canvas
+     * paramsFor() for every archetype, in the shape the pipeline takes
      */
-    function takeScreenshot() {
-        const link = document.createElement('a');
-        link.download = `jungian_mirror_${currentFilter.id}.png`;
-        
-        // Save/restore logic to draw non-mirrored frame for screenshot
-        ctx.save();
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        applyDynamicFilter(currentFilter.id);
-        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-        applyOverlayFilter(currentFilter.id);
-        
-        link.href = canvas.toDataURL('image/png');
-        ctx.restore(); // Restore mirrored context for live feed
-        link.click();
+    function currentParams() {
+        const ids = Object.keys(linkParams);
+        if (!ids.length) return paramOverrides;
+        const params = Object.assign({}, paramOverrides);
+        ids.forEach(id => { params[id] = paramsFor(id); });
+        return params;
     }
 
+    function loadParamOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(PARAMS_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn("Ignoring unreadable saved parameters:", err);
+            return {};
+        }
+    }
 
-    // --- 7. NEW Video Recording Functions ---
+    function saveParamOverrides() {
+        try {
+            localStorage.setItem(PARAMS_STORAGE_KEY, JSON.stringify(paramOverrides));
+        } catch (err) {
+            console.warn("Could not save parameters:", err);
+        }
+    }
 
     /**
-     * Starts the 5-second video recording
+     * Updates one parameter of an archetype (live; persisted when save is true).
+     * The user's value replaces the link's, the other link values stay unsaved.
      */
-    function startRecording() {
-        if (isRecording) return; // Prevent double-recording
-        
-        isRecording = true;
-        recordedChunks = [];
-        
-        // --- Give UI Feedback & Disable Controls ---
-        recordBtn.classList.add('recording');
-        recordBtn.disabled = true;
-        screenshotBtn.disabled = true;
-        randomBtn.disabled = true;
-        filterList.style.pointerEvents = 'none';
+    function setParam(archId, paramId, value, save) {
+        paramOverrides[archId] = Object.assign({}, paramOverrides[archId], { [paramId]: value });
+        if (linkParams[archId]) {
+            delete linkParams[archId][paramId];
+            if (!Object.keys(linkParams[archId]).length) delete linkParams[archId];
+        }
+        if (save) saveParamOverrides();
+    }
 
-        // --- Start Capture ---
-        const stream = canvas.captureStream(30); // 30fps
+    /**
+     * Drops all user tweaks for an archetype, back to its declared defaults
+     */
+    function resetParams(archId) {
+        delete paramOverrides[archId];
+        delete linkParams[archId];
+        saveParamOverrides();
+        renderParamPanel(getArchetype(archId));
+        sessionChanged();
+    }
 
-        // --- NEW: Prioritize MP4 for compatibility ---
-        const mimeTypes = [
-            'video/mp4; codecs="avc1.42E01E"', // H.264 MP4 (best for phones/safari)
-            'video/webm; codecs=vp9',          // VP9 WebM (high quality)
-            'video/webm; codecs=vp8',          // VP8 WebM (fallback)
-            'video/webm'                       // Generic WebM
-        ];
+    /**
+     * Builds sliders / color pickers for the archetype's declared parameters
+     */
+    function renderParamPanel(arch) {
+        paramPanel.innerHTML = '';
+        paramPanel.hidden = arch.params.length === 0;
+        if (paramPanel.hidden) return;
 
-        // Find the first supported MIME type
-        const supportedMimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+        const values = window.PsycheOS.resolveParams(arch, paramsFor(arch.id));
 
-        if (!supportedMimeType) {
-            console.error("No supported MIME type found for MediaRecorder");
-            alert("Video recording is not supported on this browser.");
-            stopRecording(); // Reset UI
-            return;
-        }
+        arch.params.forEach(param => {
+            const row = document.createElement('label');
+            row.className = 'param-row';
 
-        console.log("Using MIME type:", supportedMimeType);
+            const name = document.createElement('span');
+            name.className = 'param-name';
+            name.textContent = param.label;
 
-        // Create the recorder with the best supported format
-        mediaRecorder = new MediaRecorder(stream, {
-            mimeType: supportedMimeType
-        });
-        // ------------------------------------------
+            const input = document.createElement('input');
+            input.type = param.type;
+            input.value = values[param.id];
 
-        // Add data chunks as they become available
-        mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                recordedChunks.push(event.data);
+            const output = document.createElement('output');
+            output.className = 'param-value';
+
+            if (param.type === 'range') {
+                input.min = param.min;
+                input.max = param.max;
+                input.step = param.step;
+                output.textContent = formatParamValue(values[param.id], param.step);
             }
-        };
 
-        // When recording stops, process the video
-        mediaRecorder.onstop = handleRecordingStop;
+            // 'input' updates the live view, 'change' (on release) persists
+            input.addEventListener('input', () => {
+                const value = param.type === 'range' ? parseFloat(input.value) : input.value;
+                if (param.type === 'range') output.textContent = formatParamValue(value, param.step);
+                setParam(arch.id, param.id, value, false);
+            });
+            input.addEventListener('change', () => {
+                saveParamOverrides();
+                sessionChanged();
+            });
 
-        // Start recording
-        mediaRecorder.start();
+            row.append(name, input, output);
+            paramPanel.appendChild(row);
+        });
 
-        // Set timer to stop after 5 seconds
-        setTimeout(stopRecording, 5000);
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'param-reset';
+        resetBtn.textContent = 'Reset';
+        resetBtn.title = `Reset ${arch.name} to its defaults`;
+        resetBtn.addEventListener('click', () => resetParams(arch.id));
+        paramPanel.appendChild(resetBtn);
     }
 
     /**
-     * Stops the MediaRecorder
+     * Shows as many decimals as the slider step has
      */
-    function stopRecording() {
-        if (mediaRecorder && mediaRecorder.state === 'recording') {
-             mediaRecorder.stop();
-        }
-        
-        // --- Reset UI ---
-        isRecording = false;
+    function formatParamValue(value, step) {
+        const decimals = step >= 1 ? 0 : Math.min(3, Math.ceil(-Math.log10(step)));
+        return Number(value).toFixed(decimals);
+    }
+
+
+    // --- 5c. Layer Stack ---
+
+    /**
+     * Layers from a saved session or a link: known archetypes only, at most
+     * MAX_LAYERS, copied so the source object isn't shared
+     */
+    function normalizeLayers(list) {
+        return list
+            .filter(layer => getArchetype(layer.filterId))
+            .slice(0, MAX_LAYERS)
+            .map(layer => Object.assign({}, layer));
+    }
+
+    /**
+     * Stacks another archetype on top, preferring one not yet in the stack
+     */
+    function addLayer() {
+        if (layers.length >= MAX_LAYERS) return;
+        const used = [currentFilter.id, ...layers.map(layer => layer.filterId)];
+        const archetypes = listArchetypes();
+        const arch = archetypes.find(a => !used.includes(a.id)) || archetypes[0];
+        layers.push({ filterId: arch.id, opacity: 0.5, blend: 'source-over' });
+        layersChanged();
+    }
+
+    function removeLayer(index) {
+        layers.splice(index, 1);
+        layersChanged();
+    }
+
+    /**
+     * Moves a layer up (-1, drawn earlier) or down (+1, drawn later)
+     */
+    function moveLayer(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= layers.length) return;
+        [layers[index], layers[target]] = [layers[target], layers[index]];
+        layersChanged();
+    }
+
+    function layersChanged() {
+        renderLayerList();
+        noteRecordedStack();
+        sessionChanged();
+    }
+
+    /**
+     * Builds one row per layer: archetype, opacity, blend mode and
+     * reorder/remove buttons. Rows are listed in drawing order.
+     */
+    function renderLayerList() {
+        layerList.innerHTML = '';
+        addLayerBtn.disabled = layers.length >= MAX_LAYERS;
+
+        layers.forEach((layer, index) => {
+            const row = document.createElement('li');
+            row.className = 'layer-row';
+
+            const archSelect = document.createElement('select');
+            archSelect.title = 'Archetype';
+            archSelect.setAttribute('aria-label', `Layer ${index + 1} archetype`);
+            listArchetypes().forEach(arch => archSelect.add(new Option(arch.name, arch.id)));
+            archSelect.value = layer.filterId;
+            archSelect.addEventListener('change', () => {
+                layer.filterId = archSelect.value;
+                noteRecordedStack();
+                sessionChanged();
+            });
+
+            const opacity = document.createElement('input');
+            opacity.type = 'range';
+            opacity.min = 0;
+            opacity.max = 1;
+            opacity.step = 0.05;
+            opacity.value = layer.opacity;
+            opacity.title = 'Opacity';
+            opacity.setAttribute('aria-label', `Layer ${index + 1} opacity`);
+
+            const opacityValue = document.createElement('output');
+            opacityValue.className = 'param-value';
+            opacityValue.textContent = `${Math.round(layer.opacity * 100)}%`;
+            opacity.addEventListener('input', () => {
+                layer.opacity = parseFloat(opacity.value);
+                opacityValue.textContent = `${Math.round(layer.opacity * 100)}%`;
+            });
+            opacity.addEventListener('change', sessionChanged);
+
+            const blendSelect = document.createElement('select');
+            blendSelect.title = 'Blend mode';
+            blendSelect.setAttribute('aria-label', `Layer ${index + 1} blend mode`);
+            window.PsycheOS.BLEND_MODES.forEach(mode => {
+                blendSelect.add(new Option(mode === 'source-over' ? 'normal' : mode, mode));
+            });
+            blendSelect.value = layer.blend;
+            blendSelect.addEventListener('change', () => {
+                layer.blend = blendSelect.value;
+                sessionChanged();
+            });
+
+            const actions = document.createElement('span');
+            actions.className = 'layer-actions';
+            actions.append(
+                layerButton('fa-arrow-up', 'Move up', index === 0, () => moveLayer(index, -1)),
+                layerButton('fa-arrow-down', 'Move down', index === layers.length - 1, () => moveLayer(index, 1)),
+                layerButton('fa-xmark', 'Remove layer', false, () => removeLayer(index))
+            );
+
+            row.append(archSelect, opacity, opacityValue, blendSelect, actions);
+            layerList.appendChild(row);
+        });
+    }
+
+    function layerButton(icon, title, disabled, onClick) {
+        const btn = document.createElement('button');
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        btn.disabled = disabled;
+        btn.innerHTML = `<i class="fa-solid ${icon}" aria-hidden="true"></i>`;
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+
+    // --- 5d. Session & Deep Links ---
+
+    /**
+     * Restores the option controls and the last look, unless the URL
+     * (#trickster, ?archetype=trickster) asks for a specific one
+     */
+    function restoreSession() {
+        const saved = loadSession();
+
+        SESSION_CONTROLS.forEach(id => {
+            const control = document.getElementById(id);
+            if (!control || !saved.controls || !(id in saved.controls)) return;
+            if (control.type === 'checkbox') {
+                control.checked = !!saved.controls[id];
+            } else if (!control.options) { // Sliders (the browser clamps the value)
+                control.value = saved.controls[id];
+            } else if ([...control.options].some(option => option.value === saved.controls[id])) {
+                control.value = saved.controls[id];
+            }
+        });
+        cameraOptions.resolution = cameraResolutionSelect.value;
+        quality.enabled = adaptiveToggle.checked;
+
+        const link = readLink();
+        const state = link || saved;
+        if (getArchetype(state.filterId)) {
+            currentFilter = getArchetype(state.filterId);
+        }
+        if (Array.isArray(state.layers)) {
+            layers = normalizeLayers(state.layers);
+        }
+        if (link) applyLinkParams(link);
+    }
+
+    /**
+     * The deep link in the hash, or in ?archetype= for links that can't
+     * carry a hash (some QR code readers drop it)
+     */
+    function readLink() {
+        return parseLink(window.location.hash) || parseLink(urlParams.get('archetype') || '');
+    }
+
+    /**
+     * Uses the link's parameter values for this visit. They stay out of the
+     * saved parameters; only values the user then changes are saved.
+     */
+    function applyLinkParams(link) {
+        if (Object.keys(link.params).length) {
+            linkParams[link.filterId] = Object.assign({}, linkParams[link.filterId], link.params);
+        }
+    }
+
+    /**
+     * The hash was edited or a link to another look was followed
+     */
+    function handleHashChange() {
+        const link = parseLink(window.location.hash);
+        if (!link) return;
+        applyLinkParams(link);
+        layers = normalizeLayers(link.layers);
+        renderLayerList();
+        applyFilter(link.filterId);
+    }
+
+    /**
+     * Mirrors the current look into the URL and saves the session
+     */
+    function sessionChanged() {
+        const hash = buildLink({
+            filterId: currentFilter.id,
+            params: paramsFor(currentFilter.id),
+            layers
+        });
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash); // No history entry per click
+        }
+        saveSession();
+    }
+
+    function loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn("Ignoring unreadable saved session:", err);
+            return {};
+        }
+    }
+
+    function saveSession() {
+        const controls = {};
+        SESSION_CONTROLS.forEach(id => {
+            const control = document.getElementById(id);
+            if (control) controls[id] = control.type === 'checkbox' ? control.checked : control.value;
+        });
+
+        try {
+            localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+                filterId: currentFilter.id,
+                layers,
+                controls
+            }));
+        } catch (err) {
+            console.warn("Could not save session:", err);
+        }
+    }
+
+
+    // --- 5e. Custom Archetypes ---
+
+    /**
+     * Definitions of the archetypes that were imported (not built in)
+     */
+    function customDefinitions() {
+        return listArchetypes().filter(arch => arch.definition).map(arch => arch.definition);
+    }
+
+    /**
+     * Re-defines the archetypes imported on earlier visits
+     */
+    function loadCustomArchetypes() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(CUSTOM_ARCHETYPES_KEY)) || [];
+        } catch (err) {
+            console.warn("Ignoring unreadable saved archetypes:", err);
+            return;
+        }
+        saved.forEach(def => {
+            try {
+                const existing = def && getArchetype(def.id);
+                if (existing && !existing.definition) {
+                    throw new Error(`"${def.id}" is now a built-in archetype`);
+                }
+                defineArchetype(def);
+            } catch (err) {
+                console.warn("Skipping saved archetype:", err);
+            }
+        });
+    }
+
+    function saveCustomArchetypes() {
+        try {
+            localStorage.setItem(CUSTOM_ARCHETYPES_KEY, JSON.stringify(customDefinitions()));
+        } catch (err) {
+            console.warn("Could not save imported archetypes:", err);
+        }
+    }
+
+    /**
+     * Validates every definition in a picked or dropped .json file, then
+     * defines them all (or none) and switches to the last one
+     */
+    async function importArchetypes(file) {
+        try {
+            let defs;
+            try {
+                defs = definitions.parse(await file.text());
+            } catch (err) {
+                throw new PsycheError('invalid-archetype', `${file.name} isn't valid JSON.`, err);
+            }
+
+            const problems = defs.flatMap(def => {
+                const existing = def && getArchetype(def.id);
+                if (existing && !existing.definition) {
+                    return [`"${def.id}": that id belongs to a built-in archetype`];
+                }
+                return definitions.validate(def);
+            });
+            if (problems.length) {
+                const more = problems.length > 3 ? ` (and ${problems.length - 3} more)` : '';
+                throw new PsycheError('invalid-archetype',
+                    `Couldn't import ${file.name}: ${problems.slice(0, 3).join('; ')}${more}`);
+            }
+
+            const imported = defs.map(def => defineArchetype(def));
+            saveCustomArchetypes();
+            clearStatus(['invalid-archetype']);
+            console.log("Imported archetypes:", imported.map(arch => arch.id).join(', '));
+            applyFilter(imported[imported.length - 1].id);
+        } catch (err) {
+            console.error("Could not import archetypes:", err);
+            showStatus(toPsycheError(err, 'invalid-archetype'), [
+                { label: 'Pick another', run: () => archetypeFileInput.click() }
+            ]);
+        }
+    }
+
+    /**
+     * Downloads the imported archetypes as one .json file for other machines
+     */
+    function exportArchetypes() {
+        const defs = customDefinitions();
+        if (!defs.length) return;
+        const blob = new Blob([definitions.serialize(defs)], { type: 'application/json' });
+        downloadBlob(blob, defs.length === 1 ? `psycheos-${defs[0].id}.json` : 'psycheos-archetypes.json');
+    }
+
+    function updateArchetypeExport() {
+        archetypeExportBtn.disabled = customDefinitions().length === 0;
+    }
+
+
+    // --- 5f. LUT Grading ---
+
+    function loadUserLuts() {
+        try {
+            return JSON.parse(localStorage.getItem(LUT_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn("Ignoring unreadable saved LUTs:", err);
+            return {};
+        }
+    }
+
+    function saveUserLuts() {
+        try {
+            localStorage.setItem(LUT_STORAGE_KEY, JSON.stringify(userLuts));
+        } catch (err) {
+            // Big 3D tables can outgrow localStorage; they still work until reload
+            console.warn("Could not save LUTs, they will only last this visit:", err);
+        }
+    }
+
+    /**
+     * Hands an archetype's LUT to the render host: the one the user loaded
+     * for it, else the one it ships with (fetched from arch.lut)
+     */
+    async function loadArchetypeLut(arch) {
+        const user = userLuts[arch.id];
+        try {
+            if (user) {
+                setArchetypeLut(arch.id, window.PsycheOS.lut.parse(user.text), user.name);
+            } else if (arch.lut) {
+                const response = await fetch(arch.lut);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const lut = window.PsycheOS.lut.parse(await response.text());
+                if (!userLuts[arch.id]) { // Unless one was loaded meanwhile
+                    setArchetypeLut(arch.id, lut, lut.title || arch.lut.split('/').pop());
+                }
+            } else {
+                setArchetypeLut(arch.id, null, null);
+            }
+        } catch (err) {
+            console.warn(`Could not load the LUT for "${arch.id}":`, err);
+        }
+    }
+
+    function setArchetypeLut(archId, lut, name) {
+        renderHost.setLut(archId, lut);
+        lutNames[archId] = name;
+        if (archId === currentFilter.id) updateLutControls();
+    }
+
+    /**
+     * Grades the current archetype with a picked or dropped .cube file
+     */
+    async function importLut(file) {
+        const archId = currentFilter.id;
+        try {
+            const text = await file.text();
+            let lut;
+            try {
+                lut = window.PsycheOS.lut.parse(text);
+            } catch (err) {
+                throw new PsycheError('invalid-lut', `Couldn't read ${file.name}: ${err.message}`, err);
+            }
+
+            userLuts[archId] = { name: file.name, text };
+            saveUserLuts();
+            setArchetypeLut(archId, lut, file.name);
+            clearStatus(['invalid-lut']);
+        } catch (err) {
+            console.error("Could not load LUT:", err);
+            showStatus(toPsycheError(err, 'invalid-lut'), [
+                { label: 'Pick another', run: () => lutFileInput.click() }
+            ]);
+        }
+    }
+
+    /**
+     * Drops the user's LUT for the current archetype (back to its own)
+     */
+    function resetLut() {
+        delete userLuts[currentFilter.id];
+        saveUserLuts();
+        loadArchetypeLut(currentFilter);
+    }
+
+    function updateLutControls() {
+        lutNameEl.textContent = lutNames[currentFilter.id] || 'None';
+        lutResetBtn.disabled = !userLuts[currentFilter.id];
+    }
+
+
+    // --- 5g. Movement & Sound Modulation ---
+
+    /**
+     * Measures the current source frame (and the microphone) and returns
+     * the levels for this frame's state
+     */
+    function measureModulation() {
+        const motion = motionToggle.checked ? motionMeter.measure(activeSource.element) : 0;
+        const audio = audioMeter ? audioMeter.measure() : 0;
+        motionMeterEl.value = motion;
+        audioMeterEl.value = audio;
+        modulation = { motion, audio };
+        return modulation;
+    }
+
+    /**
+     * Switches the microphone on or off. It is never switched on by a saved
+     * session, so the permission prompt only follows a click.
+     */
+    async function toggleAudio() {
+        if (!audioToggle.checked) {
+            if (audioMeter) audioMeter.stop();
+            audioMeter = null;
+            return;
+        }
+
+        try {
+            const meter = await window.PsycheOS.modulation.createAudioMeter();
+            if (!audioToggle.checked) { // Switched off while we waited for permission
+                meter.stop();
+                return;
+            }
+            meter.sensitivity = Number(audioSensitivityInput.value);
+            audioMeter = meter;
+            clearStatus(['microphone-failed']);
+        } catch (err) {
+            console.error("Microphone failed:", err);
+            audioToggle.checked = false;
+            showStatus(toPsycheError(err, 'microphone-failed'), [
+                { label: 'Retry', run: () => { audioToggle.checked = true; toggleAudio(); } }
+            ]);
+        }
+    }
+
+    // --- 5h. Comparison Views ---
+
+    /**
+     * The compare part of the frame state (see pipeline.js), or null
+     */
+    function compareState() {
+        const mode = compareModeSelect.value;
+        if (mode === 'split') {
+            return { mode, position: Number(compareSplitInput.value) / 100 };
+        }
+        return mode === 'grid' ? { mode } : null;
+    }
+
+    /**
+     * Shows the split slider in split mode only and sets the mirror's cursor
+     */
+    function updateCompareControls() {
+        compareSplitLabel.hidden = compareModeSelect.value !== 'split';
+        canvas.dataset.compare = compareModeSelect.value;
+    }
+
+    /**
+     * Steps through off -> before/after -> all archetypes (the C shortcut)
+     */
+    function cycleCompareMode() {
+        const index = COMPARE_CYCLE.indexOf(compareModeSelect.value);
+        compareModeSelect.value = COMPARE_CYCLE[(index + 1) % COMPARE_CYCLE.length];
+        updateCompareControls();
+        saveSession();
+    }
+
+    /**
+     * Pressing on the mirror grabs the split line (before/after) or picks
+     * the archetype under the pointer (grid)
+     */
+    function handleComparePointerDown(e) {
+        const mode = compareModeSelect.value;
+        if (mode === 'split') {
+            canvas.setPointerCapture(e.pointerId);
+            moveSplit(e);
+        } else if (mode === 'grid') {
+            const arch = archetypeAt(e);
+            if (arch && !randomBtn.disabled) applyFilter(arch.id);
+        }
+    }
+
+    /**
+     * Puts the split line under the pointer
+     */
+    function moveSplit(e) {
+        const rect = canvas.getBoundingClientRect();
+        compareSplitInput.value = Math.round((e.clientX - rect.left) / rect.width * 100); // Clamped by the slider
+    }
+
+    /**
+     * The archetype whose grid cell is under the pointer, if any. The
+     * displayed canvas keeps the frame's aspect ratio, so the pipeline's
+     * layout can be redone in CSS pixels.
+     */
+    function archetypeAt(e) {
+        const rect = canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const archetypes = listArchetypes();
+        const cells = window.PsycheOS.gridLayout(archetypes.length, rect.width, rect.height);
+        const index = cells.findIndex(cell =>
+            x >= cell.x && x < cell.x + cell.width && y >= cell.y && y < cell.y + cell.height);
+        return index >= 0 ? archetypes[index] : null;
+    }
+
+    /**
+     * Draws an archetype's Font Awesome symbol into a bitmap and hands it to
+     * the pipeline for the grid labels (the render worker has no icon font)
+     */
+    async function sendArchetypeIcon(arch) {
+        const probe = document.createElement('i');
+        probe.className = arch.symbol;
+        probe.setAttribute('aria-hidden', 'true');
+        probe.style.position = 'absolute';
+        probe.style.visibility = 'hidden';
+        document.body.appendChild(probe);
+        const style = getComputedStyle(probe);
+        const content = getComputedStyle(probe, '::before').content;
+        const font = `${style.fontWeight} ${ICON_SIZE}px ${style.fontFamily}`;
+        probe.remove();
+
+        // content is the quoted glyph, e.g. '"\uf186"', or 'none'
+        const glyph = /^["'](.+)["']$/.exec(content);
+        if (!glyph) return; // Not a known icon: the grid shows just the name
+
+        try {
+            await document.fonts.load(font, glyph[1]);
+            const iconCanvas = Object.assign(document.createElement('canvas'), { width: ICON_SIZE, height: ICON_SIZE });
+            const iconCtx = iconCanvas.getContext('2d');
+            iconCtx.font = font;
+            iconCtx.fillStyle = '#fff';
+            iconCtx.textAlign = 'center';
+            iconCtx.textBaseline = 'middle';
+            iconCtx.fillText(glyph[1], ICON_SIZE / 2, ICON_SIZE / 2);
+            renderHost.setIcon(arch.id, await createImageBitmap(iconCanvas));
+        } catch (err) {
+            console.warn(`Could not draw the symbol of "${arch.id}" for the comparison grid:`, err);
+        }
+    }
+
+    // --- 5i. Embed API ---
+
+    /**
+     * Publishes the mirror API as PsycheOS.mirror and answers the same
+     * commands over postMessage (see embed.js)
+     */
+    function startMirrorApi() {
+        const started = new Promise((resolve, reject) => {
+            markStarted = { resolve, reject };
+        });
+        started.catch(() => {}); // Reported by each command instead
+
+        const api = createMirrorApi(started);
+        window.PsycheOS.mirror = api;
+
+        const bridge = embed.createMessageBridge(api, embed.readAllowedOrigins());
+        embed.EVENTS.forEach(type => {
+            mirrorEvents.on(type, detail => bridge.post(type, detail));
+        });
+    }
+
+    /**
+     * The commands host pages drive the mirror with. Each one waits for
+     * start-up (started) and rejects with a PsycheError.
+     */
+    function createMirrorApi(started) {
+        return {
+            ready: started,
+            on: mirrorEvents.on,
+            off: mirrorEvents.off,
+
+            async listArchetypes() {
+                await started;
+                return listArchetypes().map(publicArchetype);
+            },
+            async getArchetype() {
+                await started;
+                return currentFilter.id;
+            },
+            async setArchetype(id) {
+                await started;
+                if (!getArchetype(id)) throw new PsycheError('unknown-archetype');
+                if (randomBtn.disabled) throw new PsycheError('mirror-busy'); // Slot machine spinning
+                applyFilter(id);
+                return id;
+            },
+            async random() {
+                await started;
+                if (randomBtn.disabled) throw new PsycheError('mirror-busy');
+                if (listArchetypes().length < 2) return currentFilter.id; // Nothing to switch to
+                const picked = nextEvent('archetypechange');
+                randomFilterSlotMachine();
+                return (await picked).id;
+            },
+            async screenshot() {
+                await started;
+                const blob = await takeScreenshot();
+                if (!blob) throw new PsycheError('capture-failed');
+                return blob;
+            },
+            async startRecording() {
+                await started;
+                if (recordingState !== 'idle' || recordBtn.disabled) throw new PsycheError('mirror-busy');
+                startRecording();
+                if (recordingState !== 'recording') throw new PsycheError('no-recorder-format');
+            },
+            async stopRecording() {
+                await started;
+                if (recordingState !== 'recording') throw new PsycheError('not-recording');
+                const recorded = nextRecording();
+                stopRecording();
+                return recorded;
+            }
+        };
+    }
+
+    /**
+     * The public description of an archetype
+     */
+    function publicArchetype(arch) {
+        return { id: arch.id, name: arch.name, symbol: arch.symbol, description: arch.description };
+    }
+
+    /**
+     * Resolves with the detail of the next mirror event of the given type
+     */
+    function nextEvent(type) {
+        return new Promise(resolve => {
+            const listener = (detail) => {
+                mirrorEvents.off(type, listener);
+                resolve(detail);
+            };
+            mirrorEvents.on(type, listener);
+        });
+    }
+
+    /**
+     * Resolves with the Blob of the next finished recording (or rejects if
+     * its export fails)
+     */
+    function nextRecording() {
+        return new Promise((resolve, reject) => {
+            const listener = (detail) => {
+                if (!RECORDING_KINDS.includes(detail.kind)) return;
+                mirrorEvents.off('capture', listener);
+                mirrorEvents.off('capturefailed', listener);
+                detail.blob ? resolve(detail.blob) : reject(new PsycheError(detail.code, detail.message));
+            };
+            mirrorEvents.on('capture', listener);
+            mirrorEvents.on('capturefailed', listener);
+        });
+    }
+
+    /**
+     * Tells embedding pages a capture of the given gallery kind failed
+     */
+    function captureFailed(kind, error) {
+        mirrorEvents.emit('capturefailed', { kind, code: error.code, message: error.message });
+    }
+
+
+    // --- 6. UI & Event Listeners ---
+
+    /**
+     * Creates the filter buttons dynamically from the archetype data
+     */
+    function initFilterButtons() {
+        listArchetypes().forEach(addFilterButton);
+
+        // Archetypes registered after start-up (e.g. lazily loaded scripts)
+        onArchetypeRegistered(arch => {
+            addFilterButton(arch);
+            renderLayerList(); // Offer it in the layer pickers too
+            if (arch.definition) {
+                renderHost.defineArchetypes([arch.definition]);
+                updateArchetypeExport();
+            } else if (arch.script) {
+                renderHost.loadScripts([arch.script]);
+            } else if (renderHost.mode === 'worker') {
+                console.warn(`Archetype "${arch.id}" has no script URL and can't run in the render worker.`);
+            }
+            loadArchetypeLut(arch);
+            sendArchetypeIcon(arch);
+            if (arch.id === currentFilter.id) {
+                applyFilter(arch.id); // Pick up the replaced definition
+            }
+        });
+    }
+
+    /**
+     * Adds (or refreshes) the button for a single archetype
+     */
+    function addFilterButton(arch) {
+        let btn = filterList.querySelector(`button[data-filter="${arch.id}"]`);
+        if (!btn) {
+            btn = document.createElement('button');
+            btn.dataset.filter = arch.id;
+            btn.addEventListener('click', () => {
+                // Enter/Space still reach a focused button while the slot
+                // machine spins (pointer events are off), and would be overwritten
+                if (randomBtn.disabled) return;
+                applyFilter(arch.id);
+            });
+            filterList.appendChild(btn);
+        }
+
+        // Number keys 1-9 pick the archetypes in registration order
+        const key = listArchetypes().findIndex(a => a.id === arch.id) + 1;
+        btn.title = key <= 9 ? `${arch.name} (${key})` : arch.name;
+        btn.setAttribute('aria-label', arch.name);
+        if (key <= 9) btn.setAttribute('aria-keyshortcuts', String(key));
+        btn.innerHTML = `<i class="${arch.symbol}" aria-hidden="true"></i>`;
+
+        const active = arch.id === currentFilter.id;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+        btn.tabIndex = active ? 0 : -1;
+    }
+
+    /**
+     * Arrow keys move focus along the archetype toolbar (Enter/Space applies)
+     */
+    function handleFilterListKeys(e) {
+        const buttons = [...filterList.querySelectorAll('button')];
+        const index = buttons.indexOf(document.activeElement);
+        if (index === -1) return;
+
+        let next;
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                next = (index + 1) % buttons.length;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                next = (index - 1 + buttons.length) % buttons.length;
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = buttons.length - 1;
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        buttons.forEach((btn, i) => { btn.tabIndex = i === next ? 0 : -1; });
+        buttons[next].focus();
+    }
+
+    /**
+     * Global shortcuts: 1-9 archetypes, R random, S snapshot, V record,
+     * C comparison view.
+     * Ignored while typing in a form field or with modifier keys held.
+     */
+    function handleShortcut(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+        if (e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+
+        const archetypes = listArchetypes();
+        if (/^[1-9]$/.test(e.key)) {
+            const arch = archetypes[Number(e.key) - 1];
+            if (arch && !randomBtn.disabled) applyFilter(arch.id);
+            return;
+        }
+
+        switch (e.key.toLowerCase()) {
+            case 'r':
+                if (!randomBtn.disabled) randomFilterSlotMachine();
+                break;
+            case 's':
+                if (!screenshotBtn.disabled) takeSnapshot();
+                break;
+            case 'v':
+                if (!recordBtn.disabled) toggleRecording();
+                break;
+            case 'c':
+                cycleCompareMode();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Turns reduced motion on/off: no Shadow glitches, glitch transitions,
+     * slot-machine spin or pulsing buttons
+     */
+    function setReducedMotion(enabled) {
+        reducedMotion = enabled;
+        reduceMotionToggle.checked = enabled;
+        document.body.classList.toggle('reduce-motion', enabled);
+    }
+
+    /**
+     * Sets up click listeners for all control buttons
+     */
+    function initEventListeners() {
+        randomBtn.addEventListener('click', randomFilterSlotMachine);
+        screenshotBtn.addEventListener('click', takeSnapshot);
+        timelapseBtn.addEventListener('click', toggleTimelapse);
+        captureModeSelect.addEventListener('change', updateCaptureOptions);
+        updateCaptureOptions();
+
+        // --- Performance ---
+        if (urlParams.has('hud')) hudToggle.checked = urlParams.get('hud') === '1';
+        hud.hidden = !hudToggle.checked;
+        hudToggle.addEventListener('change', () => {
+            hud.hidden = !hudToggle.checked;
+        });
+        // --- Session ---
+        window.addEventListener('hashchange', handleHashChange);
+        SESSION_CONTROLS.forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.addEventListener('change', saveSession);
+        });
+
+        // --- Modulation ---
+        motionMeter.sensitivity = Number(motionSensitivityInput.value);
+        motionSensitivityInput.addEventListener('input', () => {
+            motionMeter.sensitivity = Number(motionSensitivityInput.value);
+        });
+        audioSensitivityInput.addEventListener('input', () => {
+            if (audioMeter) audioMeter.sensitivity = Number(audioSensitivityInput.value);
+        });
+        audioToggle.addEventListener('change', toggleAudio);
+
+        // --- Comparison Views ---
+        updateCompareControls();
+        compareModeSelect.addEventListener('change', updateCompareControls);
+        canvas.addEventListener('pointerdown', handleComparePointerDown);
+        canvas.addEventListener('pointermove', (e) => {
+            if (canvas.hasPointerCapture(e.pointerId)) moveSplit(e);
+        });
+        canvas.addEventListener('lostpointercapture', saveSession); // Keep where the line was dropped
+
+        // --- Keyboard & Accessibility ---
+        document.addEventListener('keydown', handleShortcut);
+        filterList.addEventListener('keydown', handleFilterListKeys);
+        setReducedMotion(reducedMotion);
+        reduceMotionToggle.addEventListener('change', () => setReducedMotion(reduceMotionToggle.checked));
+        reducedMotionQuery.addEventListener('change', (e) => setReducedMotion(e.matches));
+
+        adaptiveToggle.addEventListener('change', () => {
+            quality.enabled = adaptiveToggle.checked;
+            if (!quality.enabled) quality.reset(); // Back to full quality
+        });
+        recordBtn.addEventListener('click', toggleRecording); // Start/stop
+        statusBanner.querySelector('.status-dismiss').addEventListener('click', () => clearStatus());
+
+        // --- Gallery ---
+        loadGallerySettings();
+        galleryBtn.addEventListener('click', toggleGallery);
+        galleryExportBtn.addEventListener('click', exportGallery);
+        galleryClearBtn.addEventListener('click', clearGallery);
+        galleryQuotaSelect.addEventListener('change', async () => {
+            saveGallerySettings();
+            try {
+                await gallery.enforceQuota(galleryQuotaBytes());
+            } catch (err) {
+                console.warn("Could not apply the gallery quota:", err);
+            }
+            refreshGallery();
+        });
+        galleryAutoDownloadToggle.addEventListener('change', saveGallerySettings);
+        galleryPreview.addEventListener('close', closePreviewUrl);
+        addLayerBtn.addEventListener('click', addLayer);
+
+        // --- Input Sources ---
+        cameraSourceBtn.addEventListener('click', () => startCamera().catch(() => {}));
+        cameraSelect.addEventListener('change', () => {
+            cameraOptions.deviceId = cameraSelect.value;
+            startCamera().catch(() => {});
+        });
+        cameraResolutionSelect.addEventListener('change', () => {
+            cameraOptions.resolution = cameraResolutionSelect.value;
+            if (activeSource && activeSource.kind === 'camera') {
+                startCamera().catch(() => {});
+            }
+        });
+        cameraFlipBtn.addEventListener('click', flipCamera);
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+        }
+        patternSourceBtn.addEventListener('click', () => useSource(createTestPatternSource()));
+        fileSourceBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length) loadFile(fileInput.files[0]);
+            fileInput.value = ''; // Allow picking the same file again
+        });
+
+        archetypeImportBtn.addEventListener('click', () => archetypeFileInput.click());
+        archetypeFileInput.addEventListener('change', () => {
+            if (archetypeFileInput.files.length) importArchetypes(archetypeFileInput.files[0]);
+            archetypeFileInput.value = '';
+        });
+        archetypeExportBtn.addEventListener('click', exportArchetypes);
+        lutLoadBtn.addEventListener('click', () => lutFileInput.click());
+        lutFileInput.addEventListener('change', () => {
+            if (lutFileInput.files.length) importLut(lutFileInput.files[0]);
+            lutFileInput.value = '';
+        });
+        lutResetBtn.addEventListener('click', resetLut);
+
+        // Drag-and-drop an image or video (or an archetype .json, or a .cube LUT)
+        // anywhere on the mirror
+        container.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            container.classList.add('drag-over');
+        });
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.classList.remove('drag-over');
+            }
+        });
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            container.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            if (file.type === 'application/json' || /\.json$/i.test(file.name)) {
+                importArchetypes(file);
+            } else if (/\.cube$/i.test(file.name)) {
+                importLut(file);
+            } else {
+                loadFile(file);
+            }
+        });
+    }
+
+    /**
+     * Implements the "slot machine" randomizer
+     */
+    function randomFilterSlotMachine() {
+        let loops = 15; // Number of "ticks"
+        const intervalTime = 80; // Speed of the ticks
+
+        // Reduced motion: skip the spin and go straight to the pick
+        if (reducedMotion) {
+            const archetypes = listArchetypes().filter(a => a.id !== currentFilter.id);
+            if (archetypes.length) {
+                applyFilter(archetypes[Math.floor(Math.random() * archetypes.length)].id);
+            }
+            return;
+        }
+        
+        // Disable buttons during animation. randomBtn.disabled is the spin
+        // lock every other way of picking an archetype checks.
+        randomBtn.disabled = true;
+        filterList.style.pointerEvents = 'none';
+
+        const interval = setInterval(() => {
+            loops--;
+
+            // Pick a random filter just for the visual "spin"
+            const archetypes = listArchetypes();
+            const randomArch = archetypes[Math.floor(Math.random() * archetypes.length)];
+            
+            // Render it for the fast "tick" effect
+            previewFilter = randomArch;
+            // Update active button visuals
+            setActiveButton(randomArch.id);
+
+            if (loops <= 0) {
+                // Animation finished
+                clearInterval(interval);
+                
+                // Pick the FINAL random filter (and ensure it's not the current one)
+                let finalArch;
+                do {
+                    finalArch = archetypes[Math.floor(Math.random() * archetypes.length)];
+                } while (finalArch.id === currentFilter.id && archetypes.length > 1);
+
+                // Apply the final filter properly (transitions out of the last tick)
+                applyFilter(finalArch.id);
+
+                // Re-enable buttons
+                randomBtn.disabled = false;
+                filterList.style.pointerEvents = 'auto';
+            }
+        }, intervalTime);
+    }
+
+    /**
+     * Saves a screenshot of the current canvas; resolves with the PNG Blob
+     * (null if it failed)
+     */
+    async function takeScreenshot() {
+        // Render a fresh frame straight to PNG; it's the same graded
+        // output the live view shows
+        try {
+            const blob = await renderHost.capture(activeSource.element, createCaptureState(), 'image/png');
+            await saveCapture(blob, captureInfo('image', `jungian_mirror_${stackName()}.png`, stackName()));
+            return blob;
+        } catch (err) {
+            console.error("Screenshot failed:", err);
+            showStatus(toPsycheError(err, 'capture-failed'), [
+                { label: 'Try again', run: takeScreenshot }
+            ]);
+            captureFailed('image', toPsycheError(err, 'capture-failed'));
+            return null;
+        }
+    }
+
+    /**
+     * Triggers a download of a Blob under the given filename
+     */
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        // Clean up the object URL once the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+
+    // --- 7. NEW Video Recording Functions ---
+
+    /**
+     * Record button: start (after the optional countdown), cancel the
+     * countdown, or stop a running recording
+     */
+    function toggleRecording() {
+        if (recordingState === 'idle') {
+            if (recordCountdownToggle.checked) {
+                runCountdown(3, startRecording);
+            } else {
+                startRecording();
+            }
+        } else if (recordingState === 'countdown') {
+            cancelCountdown();
+        } else {
+            stopRecording();
+        }
+    }
+
+    /**
+     * Shows a 3-2-1 countdown over the mirror, then calls done()
+     */
+    function runCountdown(seconds, done) {
+        recordingState = 'countdown';
+        recordBtn.classList.add('counting');
+        recordDurationSelect.disabled = true;
+
+        let remaining = seconds;
+        showCountdown(remaining);
+        countdownInterval = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                showCountdown(remaining);
+                return;
+            }
+            clearInterval(countdownInterval);
+            countdownEl.hidden = true;
+            recordBtn.classList.remove('counting');
+            recordingState = 'idle';
+            done();
+        }, 1000);
+    }
+
+    function showCountdown(n) {
+        countdownEl.textContent = n;
+        countdownEl.hidden = false;
+        // Restart the "pop" animation for each number
+        countdownEl.classList.remove('tick');
+        void countdownEl.offsetWidth;
+        countdownEl.classList.add('tick');
+    }
+
+    function cancelCountdown() {
+        clearInterval(countdownInterval);
+        countdownEl.hidden = true;
+        recordBtn.classList.remove('counting');
+        recordDurationSelect.disabled = false;
+        recordingState = 'idle';
+    }
+
+    /**
+     * Starts recording; stops on the next button press or after the
+     * selected preset length
+     */
+    function startRecording() {
+        if (recordingState === 'recording') return; // Prevent double-recording
+        
+        recordingState = 'recording';
+        recordedChunks = [];
+        recordedStacks = [stackName()];
+        recordingStartTime = performance.now();
+        recordingDuration = parseInt(recordDurationSelect.value, 10) * 1000;
+        
+        recordingFormat = recordFormatSelect.value;
+        
+        // --- Give UI Feedback ---
+        // Archetypes stay switchable so one clip can move through several
+        recordBtn.classList.add('recording');
+        recordBtn.setAttribute('aria-pressed', 'true');
+        recordDurationSelect.disabled = true;
+        recordFormatSelect.disabled = true;
+
+        if (recordingFormat === 'video') {
+            startVideoRecorder();
+        } else {
+            startFrameCapture();
+        }
+
+        // Stop automatically for the preset lengths
+        if (recordingState === 'recording' && recordingDuration > 0) {
+            recordingStopTimer = setTimeout(stopRecording, recordingDuration);
+        }
+    }
+
+    /**
+     * The best MediaRecorder format this browser supports, or null
+     */
+    function pickRecorderMimeType() {
+        // --- NEW: Prioritize MP4 for compatibility ---
+        const mimeTypes = [
+            'video/mp4; codecs="avc1.42E01E"', // H.264 MP4 (best for phones/safari)
+            'video/webm; codecs=vp9',          // VP9 WebM (high quality)
+            'video/webm; codecs=vp8',          // VP8 WebM (fallback)
+            'video/webm'                       // Generic WebM
+        ];
+        if (typeof MediaRecorder === 'undefined') return null;
+        return mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Records the canvas with MediaRecorder (MP4/WebM)
+     */
+    function startVideoRecorder() {
+        // --- Start Capture ---
+        const stream = canvas.captureStream(30); // 30fps
+
+        // Find the first supported MIME type
+        const supportedMimeType = pickRecorderMimeType();
+
+        if (!supportedMimeType) {
+            console.error("No supported MIME type found for MediaRecorder");
+            stopRecording(); // Reset UI
+            showRecorderFormatError();
+            return;
+        }
+
+        console.log("Using MIME type:", supportedMimeType);
+
+        // Create the recorder with the best supported format
+        try {
+            mediaRecorder = new MediaRecorder(stream, {
+                mimeType: supportedMimeType
+            });
+        } catch (err) {
+            console.error("MediaRecorder failed to start:", err);
+            stopRecording();
+            showRecorderFormatError();
+            return;
+        }
+        // ------------------------------------------
+
+        // Add data chunks as they become available
+        mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                recordedChunks.push(event.data);
+            }
+        };
+
+        // When recording stops, process the video
+        mediaRecorder.onstop = handleRecordingStop;
+
+        // Start recording
+        mediaRecorder.start();
+    }
+
+    /**
+     * Stops the MediaRecorder (or the GIF/PNG frame capture)
+     */
+    function stopRecording() {
+        clearTimeout(recordingStopTimer);
+        if (mediaRecorder && mediaRecorder.state === 'recording') {
+             mediaRecorder.stop();
+        }
+        if (frameCaptureInterval) {
+            finishFrameCapture();
+        }
+        
+        // --- Reset UI ---
+        recordingState = 'idle';
         recordBtn.classList.remove('recording');
-        recordBtn.disabled = false;
-        screenshotBtn.disabled = false;
-        randomBtn.disabled = false;
-        filterList.style.pointerEvents = 'auto';
+        recordBtn.setAttribute('aria-pressed', 'false');
+        recordDurationSelect.disabled = false;
+        recordFormatSelect.disabled = false;
+    }
+
+    /**
+     * No usable video format: suggest the frame-capture formats instead
+     */
+    function showRecorderFormatError() {
+        showStatus(new PsycheError('no-recorder-format'), [
+            {
+                label: 'Record a GIF',
+                run: () => {
+                    recordFormatSelect.value = 'gif';
+                    toggleRecording();
+                }
+            }
+        ]);
+    }
+
+    // --- GIF / PNG Sequence Export ---
+
+    /**
+     * Samples the canvas FRAME_CAPTURE_FPS times a second for the GIF
+     * encoder or the PNG sequence
+     */
+    function startFrameCapture() {
+        gifEncoder = null;
+        pngFrames = [];
+        frameCaptureInterval = setInterval(() => {
+            if (frameCapturePending) return; // Still busy with the last one; skip
+            frameCapturePending = captureFrame().catch(err => {
+                console.error("Frame capture failed:", err);
+            }).then(() => {
+                frameCapturePending = null;
+            });
+        }, 1000 / FRAME_CAPTURE_FPS);
+    }
+
+    async function captureFrame() {
+        if (recordingFormat === 'gif') {
+            // Downscaled copy of the frame, quantized straight into the GIF
+            const scale = Math.min(1, GIF_MAX_WIDTH / activeSource.width);
+            const width = Math.round(activeSource.width * scale);
+            const height = Math.round(activeSource.height * scale);
+            const bitmap = await renderHost.snapshot(width, height);
+            const pixels = bitmapToImageData(bitmap);
+
+            if (!gifEncoder) {
+                gifEncoder = window.PsycheOS.gif.createEncoder(pixels.width, pixels.height);
+            }
+            gifEncoder.addFrame(pixels.data, 1000 / FRAME_CAPTURE_FPS);
+        } else {
+            // Full-resolution PNG
+            const bitmap = await renderHost.snapshot();
+            pngFrames.push(await bitmapToBlob(bitmap, 'image/png'));
+        }
+    }
+
+    /**
+     * Waits for the last frame, then builds and downloads the GIF or ZIP
+     */
+    async function finishFrameCapture() {
+        clearInterval(frameCaptureInterval);
+        frameCaptureInterval = null;
+
+        recordBtn.disabled = true; // Encoding...
+        recordBtn.classList.add('encoding');
+        try {
+            await frameCapturePending;
+            const baseName = `jungian_mirror_${recordedStacks.join('-')}_${Date.now()}`;
+
+            const stack = recordedStacks.join('-');
+
+            if (recordingFormat === 'gif') {
+                if (!gifEncoder) throw new Error("No frames were captured");
+                await saveCapture(gifEncoder.finish(), captureInfo('gif', `${baseName}.gif`, stack));
+            } else {
+                if (!pngFrames.length) throw new Error("No frames were captured");
+                const files = pngFrames.map((blob, i) => ({
+                    name: `${baseName}/frame_${String(i + 1).padStart(4, '0')}.png`,
+                    blob
+                }));
+                const zip = await window.PsycheOS.zip.createZip(files);
+                await saveCapture(zip, captureInfo('png-sequence', `${baseName}.zip`, stack), pngFrames[0]);
+            }
+        } catch (err) {
+            console.error("Export failed:", err);
+            showStatus(toPsycheError(err, 'export-failed'));
+            captureFailed(recordingFormat === 'gif' ? 'gif' : 'png-sequence', toPsycheError(err, 'export-failed'));
+        } finally {
+            gifEncoder = null;
+            pngFrames = [];
+            recordBtn.disabled = false;
+            recordBtn.classList.remove('encoding');
+        }
+    }
+
+    /**
+     * Reads an ImageBitmap's pixels (and releases the bitmap)
+     */
+    function bitmapToImageData(bitmap) {
+        const scratch = document.createElement('canvas');
+        scratch.width = bitmap.width;
+        scratch.height = bitmap.height;
+        const scratchCtx = scratch.getContext('2d');
+        scratchCtx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return scratchCtx.getImageData(0, 0, scratch.width, scratch.height);
+    }
+
+    /**
+     * Encodes an ImageBitmap (and releases it)
+     */
+    function bitmapToBlob(bitmap, mimeType, quality) {
+        const scratch = document.createElement('canvas');
+        scratch.width = bitmap.width;
+        scratch.height = bitmap.height;
+        scratch.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return new Promise((resolve, reject) => {
+            scratch.toBlob(blob => blob ? resolve(blob) : reject(new Error("Image encoding failed")), mimeType, quality);
+        });
     }
 
     /**
-     * Called when recording stops; creates and downloads the video file
+     * Called when recording stops; creates the video file and keeps it in the gallery
      */
     function handleRecordingStop() {
         // --- NEW: Determine file extension dynamically ---
@@ -554,18 +2168,561 @@ window.addEventListener('DOMContentLoaded', () => {
             type: mediaRecorder.mimeType 
         });
 
-        // Create a URL for the Blob
+        // Keep it with the correct extension
+        const stack = recordedStacks.join('-');
+        saveCapture(blob, captureInfo('video', `jungian_mirror_${stack}_${Date.now()}.${fileExtension}`, stack));
+    }
+
+
+    // --- 7b. Burst & Time-lapse ---
+
+    /**
+     * Screenshot button: a single image, a burst, or one frame per archetype
+     */
+    function takeSnapshot() {
+        if (captureModeSelect.value === 'burst') return runBurst();
+        if (captureModeSelect.value === 'archetypes') return runArchetypeSheet();
+        return takeScreenshot();
+    }
+
+    /**
+     * Only shows the burst settings that apply to the selected mode
+     */
+    function updateCaptureOptions() {
+        const mode = captureModeSelect.value;
+        document.querySelectorAll('[data-capture-modes]').forEach(option => {
+            option.hidden = !option.dataset.captureModes.split(' ').includes(mode);
+        });
+    }
+
+    /**
+     * Captures burst-count frames burst-interval ms apart, saved as one
+     * contact sheet or a ZIP of PNGs
+     */
+    async function runBurst() {
+        const count = Number(burstCountSelect.value);
+        const interval = Number(burstIntervalSelect.value);
+        const stack = stackName();
+
+        await runCaptureSeries('burst', async () => {
+            const frames = [];
+            for (let i = 0; i < count; i++) {
+                if (i > 0) await delay(interval);
+                frames.push(await renderHost.capture(activeSource.element, createCaptureState(), 'image/png'));
+            }
+
+            const baseName = `jungian_mirror_${stack}_burst_${Date.now()}`;
+            if (burstOutputSelect.value === 'zip') {
+                const files = frames.map((blob, i) => ({
+                    name: `${baseName}/frame_${String(i + 1).padStart(4, '0')}.png`,
+                    blob
+                }));
+                await saveCapture(await window.PsycheOS.zip.createZip(files), captureInfo('burst', `${baseName}.zip`, stack), frames[0]);
+            } else {
+                const labels = frames.map((_, i) => `#${i + 1}  +${(i * interval / 1000).toFixed(2)} s`);
+                const sheet = await contactSheetFromBlobs(frames, { labels });
+                await saveCapture(sheet, captureInfo('burst', `${baseName}.png`, stack));
+            }
+        });
+    }
+
+    /**
+     * "Faces of the psyche": the same scene through every archetype, one
+     * burst-interval apart, on a single labelled contact sheet
+     */
+    async function runArchetypeSheet() {
+        const archetypes = listArchetypes();
+        const interval = Number(burstIntervalSelect.value);
+
+        await runCaptureSeries('contact-sheet', async () => {
+            const frames = [];
+            for (let i = 0; i < archetypes.length; i++) {
+                if (i > 0) await delay(interval);
+                const state = Object.assign(createCaptureState(), {
+                    filterId: archetypes[i].id,
+                    layers: [],
+                    transition: null,
+                    compare: null
+                });
+                frames.push(await renderHost.capture(activeSource.element, state, 'image/png'));
+            }
+
+            const sheet = await contactSheetFromBlobs(frames, {
+                labels: archetypes.map(arch => arch.name),
+                columns: archetypes.length <= 5 ? archetypes.length : undefined // One row for the classic five
+            });
+            const stack = archetypes.map(arch => arch.id).join('+');
+            await saveCapture(sheet, captureInfo('contact-sheet', `jungian_mirror_contact_sheet_${Date.now()}.png`, stack));
+        });
+    }
+
+    /**
+     * Runs a multi-frame capture (of the given gallery kind) with the
+     * screenshot button shown as busy
+     */
+    async function runCaptureSeries(kind, capture) {
+        screenshotBtn.disabled = true;
+        screenshotBtn.classList.add('encoding');
+        try {
+            await capture();
+        } catch (err) {
+            console.error("Burst capture failed:", err);
+            showStatus(toPsycheError(err, 'capture-failed'));
+            captureFailed(kind, toPsycheError(err, 'capture-failed'));
+        } finally {
+            screenshotBtn.disabled = false;
+            screenshotBtn.classList.remove('encoding');
+        }
+    }
+
+    /**
+     * Decodes image Blobs and lays them out with assemble.createContactSheet
+     */
+    async function contactSheetFromBlobs(blobs, options) {
+        const bitmaps = await Promise.all(blobs.map(blob => createImageBitmap(blob)));
+        try {
+            return await window.PsycheOS.assemble.createContactSheet(bitmaps, options);
+        } finally {
+            bitmaps.forEach(bitmap => bitmap.close());
+        }
+    }
+
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function toggleTimelapse() {
+        if (timelapse) {
+            stopTimelapse();
+        } else {
+            startTimelapse();
+        }
+    }
+
+    /**
+     * Samples one frame every timelapse-interval seconds until stopped or
+     * until the selected length has passed
+     */
+    function startTimelapse() {
+        const interval = Number(timelapseIntervalSelect.value) * 1000;
+        const length = Number(timelapseLengthSelect.value) * 60 * 1000;
+        const scale = Math.min(1, TIMELAPSE_MAX_WIDTH / activeSource.width);
+
+        timelapse = {
+            frames: [],   // JPEG Blobs; raw bitmaps would fill memory over long runs
+            times: [],    // ms since start, per frame
+            start: performance.now(),
+            stack: stackName(),
+            width: Math.round(activeSource.width * scale),
+            height: Math.round(activeSource.height * scale),
+            sampleTimer: setInterval(sampleTimelapseFrame, interval),
+            stopTimer: length > 0 ? setTimeout(stopTimelapse, length) : null,
+            pending: null
+        };
+
+        timelapseBtn.classList.add('recording');
+        timelapseBtn.setAttribute('aria-pressed', 'true');
+        timelapseIntervalSelect.disabled = true;
+        timelapseLengthSelect.disabled = true;
+        sampleTimelapseFrame();
+    }
+
+    function sampleTimelapseFrame() {
+        const run = timelapse;
+        if (!run || run.pending) return; // Still encoding the last one; skip
+
+        run.pending = (async () => {
+            // Rendered afresh rather than copied off the display, which
+            // carries the REC badge while a recording runs
+            const state = Object.assign(createCaptureState(), { width: run.width, height: run.height });
+            run.frames.push(await renderHost.capture(activeSource.element, state, 'image/jpeg'));
+            run.times.push(performance.now() - run.start);
+            timelapseBtn.title = `Stop Time-lapse (${run.frames.length} frames)`;
+        })().catch(err => {
+            console.error("Time-lapse frame failed:", err);
+        }).then(() => {
+            run.pending = null;
+        });
+    }
+
+    /**
+     * Stops sampling and assembles the frames into a video or a grid image
+     */
+    async function stopTimelapse() {
+        const run = timelapse;
+        if (!run) return;
+        timelapse = null;
+
+        clearInterval(run.sampleTimer);
+        clearTimeout(run.stopTimer);
+        timelapseBtn.classList.remove('recording');
+        timelapseBtn.setAttribute('aria-pressed', 'false');
+        timelapseBtn.title = 'Start/Stop Time-lapse';
+        timelapseIntervalSelect.disabled = false;
+        timelapseLengthSelect.disabled = false;
+
+        await run.pending;
+        if (!run.frames.length) return;
+
+        timelapseBtn.disabled = true; // Encoding...
+        timelapseBtn.classList.add('encoding');
+        try {
+            const baseName = `jungian_mirror_${run.stack}_timelapse_${Date.now()}`;
+            const mimeType = timelapseOutputSelect.value === 'video' ? pickRecorderMimeType() : null;
+
+            if (mimeType && run.frames.length > 1) {
+                // Played back at TIMELAPSE_FPS, so encoding takes frames / fps seconds
+                const video = await window.PsycheOS.assemble.framesToVideo(run.frames, {
+                    fps: TIMELAPSE_FPS,
+                    width: run.width,
+                    height: run.height,
+                    mimeType
+                });
+                const extension = mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+                await saveCapture(video, captureInfo('timelapse', `${baseName}.${extension}`, run.stack));
+            } else {
+                if (timelapseOutputSelect.value === 'video' && !mimeType) {
+                    console.warn("No video format available, saving the time-lapse as a grid image.");
+                }
+                // Spread the cells evenly over the whole run
+                const step = Math.max(1, run.frames.length / TIMELAPSE_MAX_CELLS);
+                const picks = [];
+                for (let i = 0; i < run.frames.length && picks.length < TIMELAPSE_MAX_CELLS; i += step) {
+                    picks.push(Math.floor(i));
+                }
+                const sheet = await contactSheetFromBlobs(picks.map(i => run.frames[i]), {
+                    labels: picks.map(i => formatDuration(run.times[i])),
+                    cellWidth: 320
+                });
+                await saveCapture(sheet, captureInfo('timelapse', `${baseName}.png`, run.stack));
+            }
+        } catch (err) {
+            console.error("Time-lapse export failed:", err);
+            showStatus(toPsycheError(err, 'export-failed'));
+            captureFailed('timelapse', toPsycheError(err, 'export-failed'));
+        } finally {
+            timelapseBtn.disabled = false;
+            timelapseBtn.classList.remove('encoding');
+        }
+    }
+
+    /**
+     * 125000 -> "02:05"
+     */
+    function formatDuration(ms) {
+        const total = Math.floor(ms / 1000);
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+
+    // --- 7c. Capture Gallery ---
+
+    /**
+     * Gallery metadata for a capture of the current stack
+     */
+    function captureInfo(kind, filename, stack) {
+        const ids = [currentFilter.id, ...layers.map(layer => layer.filterId)];
+        const params = {};
+        ids.forEach(id => {
+            const arch = getArchetype(id);
+            if (arch) params[id] = window.PsycheOS.resolveParams(arch, paramsFor(id));
+        });
+
+        return {
+            kind,
+            filename,
+            filterId: currentFilter.id,
+            stack,
+            layers: layers.map(layer => Object.assign({}, layer)),
+            params
+        };
+    }
+
+    /**
+     * Small JPEG for the gallery grid from an image or video blob (the
+     * first frame of a GIF or video). null on failure or for other files.
+     */
+    async function makeThumbnail(blob) {
+        const options = { resizeWidth: THUMBNAIL_WIDTH, resizeQuality: 'medium' };
+        try {
+            let bitmap;
+            if (blob.type.startsWith('image/')) {
+                bitmap = await createImageBitmap(blob, options);
+            } else if (blob.type.startsWith('video/')) {
+                bitmap = await videoFrameBitmap(blob, options);
+            } else {
+                return null;
+            }
+            return await bitmapToBlob(bitmap, 'image/jpeg', 0.8);
+        } catch (err) {
+            console.warn("Could not create a thumbnail:", err);
+            return null;
+        }
+    }
+
+    /**
+     * Decodes the first frame of a video blob into an ImageBitmap
+     */
+    async function videoFrameBitmap(blob, options) {
+        const video = document.createElement('video');
         const url = URL.createObjectURL(blob);
+        try {
+            video.muted = true;
+            video.preload = 'auto';
+            const loaded = new Promise((resolve, reject) => {
+                video.onloadeddata = resolve;
+                video.onerror = () => reject(video.error || new Error("Video could not be decoded"));
+            });
+            video.src = url;
+            await Promise.race([
+                loaded,
+                delay(THUMBNAIL_TIMEOUT).then(() => { throw new Error("Timed out decoding the video"); })
+            ]);
+            return await createImageBitmap(video, options);
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        }
+    }
 
-        // Create a temporary link to trigger the download
-        const link = document.createElement('a');
-        link.href = url;
-        // Use the correct extension
-        link.download = `jungian_mirror_${currentFilter.id}_${Date.now()}.${fileExtension}`;
-        link.click();
+    /**
+     * Stores a finished capture in the gallery (evicting the oldest ones
+     * beyond the quota). Falls back to a plain download if IndexedDB is
+     * unavailable or full, so nothing is ever lost. The thumbnail is made
+     * from preview: the capture itself unless it is a ZIP, whose callers
+     * pass its first frame.
+     */
+    async function saveCapture(blob, meta, preview = blob) {
+        try {
+            meta.thumbnail = await makeThumbnail(preview);
+            await gallery.addCapture(blob, meta);
+
+            const evicted = await gallery.enforceQuota(galleryQuotaBytes());
+            if (evicted) {
+                console.log(`Gallery quota reached, removed ${evicted} old capture(s).`);
+            }
+            if (galleryAutoDownloadToggle.checked) {
+                downloadBlob(blob, meta.filename);
+            }
+            refreshGallery();
+        } catch (err) {
+            console.warn("Could not save to the gallery, downloading instead:", err);
+            downloadBlob(blob, meta.filename);
+        }
+        mirrorEvents.emit('capture', { kind: meta.kind, filename: meta.filename, stack: meta.stack, blob });
+    }
+
+    function galleryQuotaBytes() {
+        return Number(galleryQuotaSelect.value) * 1024 * 1024;
+    }
+
+    function loadGallerySettings() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(GALLERY_SETTINGS_KEY)) || {};
+            if (settings.quotaMB) galleryQuotaSelect.value = String(settings.quotaMB);
+            galleryAutoDownloadToggle.checked = !!settings.autoDownload;
+        } catch (err) {
+            console.warn("Ignoring unreadable gallery settings:", err);
+        }
+    }
+
+    function saveGallerySettings() {
+        try {
+            localStorage.setItem(GALLERY_SETTINGS_KEY, JSON.stringify({
+                quotaMB: Number(galleryQuotaSelect.value),
+                autoDownload: galleryAutoDownloadToggle.checked
+            }));
+        } catch (err) {
+            console.warn("Could not save gallery settings:", err);
+        }
+    }
+
+    function toggleGallery() {
+        galleryPanel.hidden = !galleryPanel.hidden;
+        galleryBtn.classList.toggle('active', !galleryPanel.hidden);
+        galleryBtn.setAttribute('aria-expanded', String(!galleryPanel.hidden));
+        if (!galleryPanel.hidden) refreshGallery();
+    }
+
+    /**
+     * Rebuilds the gallery grid (only while the panel is open)
+     */
+    async function refreshGallery() {
+        if (galleryPanel.hidden) return;
+
+        let records;
+        try {
+            records = await gallery.listCaptures();
+        } catch (err) {
+            console.error("Could not read the gallery:", err);
+            showStatus(toPsycheError(err, 'gallery-failed'));
+            return;
+        }
+
+        galleryUrls.forEach(url => URL.revokeObjectURL(url));
+        galleryUrls = [];
+        galleryGrid.innerHTML = '';
+        records.forEach(record => galleryGrid.appendChild(createGalleryItem(record)));
+
+        const used = records.reduce((sum, record) => sum + record.size, 0);
+        galleryUsage.textContent = `${records.length} capture${records.length === 1 ? '' : 's'}, ${formatBytes(used)}`;
+        galleryEmpty.hidden = records.length > 0;
+        galleryExportBtn.disabled = records.length === 0;
+        galleryClearBtn.disabled = records.length === 0;
+    }
+
+    function createGalleryItem(record) {
+        const item = document.createElement('li');
+        item.className = 'gallery-item';
+
+        const thumb = document.createElement('img');
+        thumb.alt = record.stack;
+        if (record.thumbnail) {
+            const url = URL.createObjectURL(record.thumbnail);
+            galleryUrls.push(url);
+            thumb.src = url;
+        }
+        thumb.addEventListener('click', () => previewCapture(record));
+
+        const caption = document.createElement('span');
+        caption.className = 'gallery-caption';
+        caption.textContent = `${record.stack} · ${new Date(record.createdAt).toLocaleString()}`;
+        caption.title = `${record.filename} (${formatBytes(record.size)})`;
+
+        const actions = document.createElement('span');
+        actions.className = 'gallery-item-actions';
+        actions.append(
+            galleryButton('fa-eye', 'Preview', () => previewCapture(record)),
+            galleryButton('fa-download', 'Download', () => downloadCapture(record)),
+            galleryButton('fa-trash', 'Delete', () => deleteCapture(record))
+        );
+
+        item.append(thumb, caption, actions);
+        return item;
+    }
+
+    function galleryButton(icon, title, onClick) {
+        const btn = document.createElement('button');
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        btn.innerHTML = `<i class="fa-solid ${icon}" aria-hidden="true"></i>`;
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    /**
+     * Opens a capture in the preview dialog (images, GIFs and videos play
+     * inline; PNG sequences show their thumbnail)
+     */
+    async function previewCapture(record) {
+        try {
+            const blob = await gallery.getBlob(record.id);
+            if (!blob) throw new Error("Capture file is missing");
+
+            closePreviewUrl();
+            const body = galleryPreview.querySelector('.gallery-preview-body');
+            body.innerHTML = '';
+
+            let media;
+            if (blob.type.startsWith('video/')) {
+                media = document.createElement('video');
+                media.controls = true;
+                media.loop = true;
+                media.autoplay = true;
+                media.muted = true;
+                previewUrl = URL.createObjectURL(blob);
+                media.src = previewUrl;
+            } else {
+                media = document.createElement('img');
+                media.alt = record.stack;
+                previewUrl = URL.createObjectURL(blob.type.startsWith('image/') ? blob : record.thumbnail || blob);
+                media.src = previewUrl;
+            }
+
+            const caption = document.createElement('p');
+            caption.textContent = `${record.filename} · ${formatBytes(record.size)}`;
+            body.append(media, caption);
+            galleryPreview.showModal();
+        } catch (err) {
+            console.error("Could not open capture:", err);
+            showStatus(toPsycheError(err, 'gallery-failed'));
+        }
+    }
+
+    function closePreviewUrl() {
+        if (previewUrl) {
+            URL.revokeObjectURL(previewUrl);
+            previewUrl = null;
+        }
+    }
+
+    async function downloadCapture(record) {
+        try {
+            downloadBlob(await gallery.getBlob(record.id), record.filename);
+        } catch (err) {
+            console.error("Could not download capture:", err);
+            showStatus(toPsycheError(err, 'gallery-failed'));
+        }
+    }
+
+    async function deleteCapture(record) {
+        try {
+            await gallery.deleteCapture(record.id);
+        } catch (err) {
+            console.error("Could not delete capture:", err);
+            showStatus(toPsycheError(err, 'gallery-failed'));
+        }
+        refreshGallery();
+    }
+
+    async function exportGallery() {
+        galleryExportBtn.disabled = true;
+        try {
+            const zip = await gallery.exportZip(await gallery.listCaptures());
+            downloadBlob(zip, `jungian_mirror_gallery_${Date.now()}.zip`);
+        } catch (err) {
+            console.error("Gallery export failed:", err);
+            showStatus(toPsycheError(err, 'gallery-failed'));
+        } finally {
+            galleryExportBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Asks (in the status banner, not a blocking confirm()) before
+     * deleting every capture
+     */
+    function clearGallery() {
+        showStatus({
+            code: 'confirm-clear-gallery',
+            message: "Delete every capture in the gallery? This can't be undone."
+        }, [
+            { label: 'Delete all', run: deleteAllCaptures },
+            { label: 'Cancel', run: () => {} }
+        ]);
+    }
+
+    /**
+     * Empties the gallery
+     */
+    async function deleteAllCaptures() {
+        try {
+            await gallery.clearCaptures();
+        } catch (err) {
+            console.error("Could not clear the gallery:", err);
+            showStatus(toPsycheError(err, 'gallery-failed'));
+        }
+        refreshGallery();
+    }
 
-        // Clean up the object URL
-        URL.revokeObjectURL(url);
+    /**
+     * 1536000 -> "1.5 MB"
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
 
 
@@ -0,0 +1,269 @@
+// Built-in Psyche.OS archetypes
+// Each archetype registers its own canvas effects with the registry, so new
+// ones can live in their own script files in exactly the same way.
+(function (PsycheOS) {
+
+    // --- The Self ---
+    PsycheOS.registerArchetype({
+        id: 'self',
+        name: 'The Self',
+        symbol: 'fa-solid fa-circle-dot', // Represents wholeness
+        description: 'The unified whole of the conscious and unconscious. Wholeness, integration, and the center of the total personality.',
+        lut: 'luts/self.cube',
+        cssGrade: 'saturate(1.1) brightness(1.05) contrast(1.05)',
+        params: [
+            { id: 'glowColor', label: 'Glow color', type: 'color', default: '#ffdc96' },
+            { id: 'glowAlpha', label: 'Glow strength', min: 0, max: 0.6, step: 0.01, default: 0.15 },
+            { id: 'soundGlow', label: 'Glow with sound', min: 0, max: 0.4, step: 0.01, default: 0.2 }
+        ],
+        post: applySelfEffect
+    });
+
+    // --- The Persona ---
+    PsycheOS.registerArchetype({
+        id: 'persona',
+        name: 'The Persona',
+        symbol: 'fa-solid fa-theater-masks', // The social mask
+        description: 'The social mask or facade you present to the world. It conceals your true self.',
+        lut: 'luts/persona.cube',
+        params: [
+            { id: 'highlightAlpha', label: 'Mask highlight', min: 0, max: 0.5, step: 0.01, default: 0.05 },
+            { id: 'edgeAlpha', label: 'Edge shading', min: 0, max: 0.8, step: 0.01, default: 0.15 }
+        ],
+        post: applyPersonaEffect
+    });
+
+    // --- The Shadow ---
+    PsycheOS.registerArchetype({
+        id: 'shadow',
+        name: 'The Shadow',
+        symbol: 'fa-solid fa-square-full', // Represents the dense, unknown
+        description: 'The unknown, dark side of the personality. The repressed, instinctive, and inferior parts of the psyche.',
+        lut: 'luts/shadow.cube',
+        cssGrade: 'grayscale(0.9) contrast(1.8) brightness(0.5)',
+        params: [
+            { id: 'vignetteInner', label: 'Vignette start', min: 0, max: 1, step: 0.01, default: 1 / 3 },
+            { id: 'vignetteOuter', label: 'Vignette end', min: 0.1, max: 1.5, step: 0.01, default: 1 / 1.5 },
+            { id: 'vignetteDarkness', label: 'Vignette darkness', min: 0, max: 1, step: 0.01, default: 0.85 },
+            { id: 'sliceChance', label: 'Slice glitch chance', min: 0, max: 1, step: 0.01, default: 0.15 },
+            { id: 'splitChance', label: 'RGB split chance', min: 0, max: 1, step: 0.01, default: 0.05 },
+            { id: 'soundBreath', label: 'Vignette breathes with sound', min: 0, max: 1, step: 0.01, default: 0.5 },
+            { id: 'motionGlitch', label: 'Glitch with movement', min: 0, max: 1, step: 0.01, default: 0.4 }
+        ],
+        post: applyShadowEffect
+    });
+
+    // --- The Anima/Animus ---
+    PsycheOS.registerArchetype({
+        id: 'anima',
+        name: 'The Anima/Animus',
+        symbol: 'fa-solid fa-moon', // The inner, intuitive, 'feminine'
+        description: 'The inner, unconscious feminine side in men (Anima) or masculine side in women (Animus). Represents intuition and soul.',
+        lut: 'luts/anima.cube',
+        params: [
+            { id: 'threshold', label: 'Edge sensitivity', min: 1, max: 100, step: 1, default: 20 },
+            { id: 'edgeColor', label: 'Outline color', type: 'color', default: '#ffffff' },
+            { id: 'backgroundColor', label: 'Background', type: 'color', default: '#141414' }
+        ],
+        post: applyAnimaEffect // White Outline Filter
+    });
+
+    // --- The Trickster ---
+    PsycheOS.registerArchetype({
+        id: 'trickster',
+        name: 'The Trickster',
+        symbol: 'fa-solid fa-wand-magic-sparkles', // Chaos and disruption
+        description: 'The archetype of chaos, disruption, and challenging norms. It exposes hypocrisy and creates new possibilities.',
+        lut: 'luts/trickster.cube',
+        params: [
+            { id: 'shadowThreshold', label: 'Shadow threshold', min: 0, max: 255, step: 1, default: 55 },
+            { id: 'passionFactor', label: 'Passion', min: 0.5, max: 4, step: 0.05, default: 1.8 },
+            { id: 'passionColor', label: 'Passion color', type: 'color', default: '#ff0000' },
+            { id: 'motionGlitch', label: 'Glitch with movement', min: 0, max: 1, step: 0.01, default: 0.6 }
+        ],
+        post: applyTricksterEffect // Simplified Red-Black Filter
+    });
+
+    // --- GPU Shaders ---
+    // Fragment shader versions of the per-pixel loops below (see gl.js).
+    // Thresholds are given on the same 0-255 scale as the CPU code.
+
+    PsycheOS.gpu.registerShader('anima-edges', `
+        uniform float u_threshold;
+        uniform vec3 u_edgeColor;
+        uniform vec3 u_backgroundColor;
+        void main() {
+            float c = luma(texture2D(u_image, v_texCoord).rgb);
+            float l = luma(texture2D(u_image, v_texCoord - vec2(u_texel.x, 0.0)).rgb);
+            float r = luma(texture2D(u_image, v_texCoord + vec2(u_texel.x, 0.0)).rgb);
+            float t = luma(texture2D(u_image, v_texCoord - vec2(0.0, u_texel.y)).rgb);
+            float b = luma(texture2D(u_image, v_texCoord + vec2(0.0, u_texel.y)).rgb);
+            float val = (4.0 * c - l - r - t - b) * 255.0;
+            gl_FragColor = vec4(abs(val) > u_threshold ? u_edgeColor : u_backgroundColor, 1.0);
+        }
+    `);
+
+    PsycheOS.gpu.registerShader('persona-invert', `
+        void main() {
+            vec4 color = texture2D(u_image, v_texCoord);
+            gl_FragColor = vec4(1.0 - color.rgb, color.a);
+        }
+    `);
+
+    PsycheOS.gpu.registerShader('trickster-redscale', `
+        uniform float u_shadowThreshold;
+        uniform float u_passionFactor;
+        uniform vec3 u_passionColor;
+        void main() {
+            vec4 color = texture2D(u_image, v_texCoord);
+            float luminance = luma(color.rgb);
+            float passion = luminance * 255.0 <= u_shadowThreshold ? 0.0 : min(1.0, luminance * u_passionFactor);
+            gl_FragColor = vec4(u_passionColor * passion, color.a);
+        }
+    `);
+
+    // --- Specific Canvas Effect Functions ---
+
+    function applyShadowEffect(ctx, frame) {
+        const width = frame.width;
+        const height = frame.height;
+        const params = frame.params;
+
+        // 1. Dark Vignette (already darkened), closing in as the room gets louder
+        const breath = frame.modulation.audio * params.soundBreath;
+        const inner = params.vignetteInner * (1 - breath);
+        const outer = params.vignetteOuter * (1 - breath * 0.5);
+        const gradient = ctx.createRadialGradient(width / 2, height / 2, width * inner, width / 2, height / 2, width * outer);
+        gradient.addColorStop(0, 'rgba(0,0,0,0)');
+        gradient.addColorStop(1, `rgba(0,0,0,${params.vignetteDarkness})`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+
+        // Glitches are random flicker; leave them out for reduced motion
+        if (frame.reducedMotion) return;
+
+        // 2. Slice Glitch (now more frequent and slightly larger, and more
+        //    frequent still while the person moves)
+        if (frame.random() < params.sliceChance + frame.modulation.motion * params.motionGlitch) {
+            for (let i = 0; i < 2; i++) { // Run it a couple of times
+                const y = frame.random() * height;
+                const h = frame.random() * 30 + 10; // Slightly larger
+                const xOffset = (frame.random() - 0.5) * 40;
+                ctx.drawImage(ctx.canvas, xOffset, y, width, h, 0, y, width, h);
+            }
+        }
+
+        // 3. NEW: Subtle RGB Split Glitch
+        if (frame.random() < params.splitChance) { // Happens rarely, like a flicker
+            ctx.globalCompositeOperation = 'lighter'; // Additive blending
+            const offset = (frame.random() - 0.5) * 10;
+
+            // Draw red-ish channel offset
+            ctx.drawImage(ctx.canvas, offset, 0);
+
+            // Draw blue-ish channel offset
+            ctx.drawImage(ctx.canvas, -offset, 0);
+
+            ctx.globalCompositeOperation = 'source-over'; // Reset blending
+        }
+    }
+
+    /**
+     * Anima/Animus Filter: White Outline
+     * Applies an edge-detection kernel to create a white outline on a dark background.
+     */
+    function applyAnimaEffect(ctx, frame) {
+        const width = frame.width;
+        const height = frame.height;
+        const threshold = frame.params.threshold; // How sensitive the edge detection is
+        const edge = PsycheOS.kernels.hexToRgb(frame.params.edgeColor);
+        const background = PsycheOS.kernels.hexToRgb(frame.params.backgroundColor);
+
+        // Fast path: run the kernel as a fragment shader
+        if (PsycheOS.gpu.apply(ctx, 'anima-edges', {
+            u_threshold: threshold,
+            u_edgeColor: edge.map(c => c / 255),
+            u_backgroundColor: background.map(c => c / 255)
+        })) return;
+
+        // Slow path: the same kernel on the CPU (see kernels.js)
+        const imageData = ctx.getImageData(0, 0, width, height);
+        const edges = PsycheOS.kernels.laplacianEdges(imageData, {
+            threshold,
+            edgeColor: edge,
+            backgroundColor: background
+        }, ctx.createImageData(width, height));
+        ctx.putImageData(edges, 0, 0);
+    }
+
+    function applySelfEffect(ctx, frame) {
+        const width = frame.width;
+        const height = frame.height;
+
+        // A subtle, centering golden glow
+        const [r, g, b] = PsycheOS.kernels.hexToRgb(frame.params.glowColor);
+        const gradient = ctx.createRadialGradient(width / 2, height / 2, width * 0.7, width / 2, height / 2, width * 0.3);
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.0)`);
+        const glowAlpha = frame.params.glowAlpha + frame.modulation.audio * frame.params.soundGlow;
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, ${glowAlpha})`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    function applyPersonaEffect(ctx, frame) {
+        const width = frame.width;
+        const height = frame.height;
+
+        // --- Negative Inversion Effect ---
+        if (!PsycheOS.gpu.apply(ctx, 'persona-invert')) {
+            const imageData = ctx.getImageData(0, 0, width, height);
+            ctx.putImageData(PsycheOS.kernels.invert(imageData, {}, imageData), 0, 0);
+        }
+
+        // --- "Smoothing" vignette (for a mask-like feel) ---
+        const gradient = ctx.createRadialGradient(width / 2, height / 2, width * 0.4, width / 2, height / 2, width * 0.6);
+        gradient.addColorStop(0, `rgba(255, 255, 255, ${frame.params.highlightAlpha})`);
+        gradient.addColorStop(1, `rgba(0, 0, 0, ${frame.params.edgeAlpha})`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Trickster Filter: Red-Black Cinematic (Simplified for Performance)
+     * Applies a high-contrast, duotone "redscale" image.
+     */
+    function applyTricksterEffect(ctx, frame) {
+        const width = frame.width;
+        const height = frame.height;
+
+        // --- Red-Black Cinematic Base ---
+        const shadowThreshold = frame.params.shadowThreshold;
+        const passionFactor = frame.params.passionFactor;
+        const passionColor = PsycheOS.kernels.hexToRgb(frame.params.passionColor);
+
+        // Fast path: run the duotone as a fragment shader
+        if (!PsycheOS.gpu.apply(ctx, 'trickster-redscale', {
+            u_shadowThreshold: shadowThreshold,
+            u_passionFactor: passionFactor,
+            u_passionColor: passionColor.map(c => c / 255)
+        })) {
+            const imageData = ctx.getImageData(0, 0, width, height);
+            PsycheOS.kernels.redscale(imageData, { shadowThreshold, passionFactor, passionColor }, imageData);
+            ctx.putImageData(imageData, 0, 0);
+        }
+
+        // --- Movement Glitch ---
+        // The more the person moves, the more (and wider) the slices jump
+        const energy = frame.modulation.motion * frame.params.motionGlitch;
+        if (frame.reducedMotion || energy < 0.05 || frame.random() > energy) return;
+
+        const slices = 1 + Math.round(energy * 5);
+        for (let i = 0; i < slices; i++) {
+            const y = frame.random() * height;
+            const h = frame.random() * 20 + 5;
+            const xOffset = (frame.random() - 0.5) * 120 * energy;
+            ctx.drawImage(ctx.canvas, xOffset, y, width, h, 0, y, width, h);
+        }
+    }
+
+})(self.PsycheOS);
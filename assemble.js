@@ -0,0 +1,118 @@
+// Psyche.OS capture assembly
+// Turns a series of captured frames into one file: a labelled grid image
+// (contact sheet) for bursts and time-lapses, or a video for time-lapses.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+    const { createCanvas } = PsycheOS; // registry.js
+
+    const SHEET_BACKGROUND = '#111';
+    const SHEET_GAP = 8;        // px between cells and around the edge
+    const LABEL_HEIGHT = 28;    // px band under each cell (when labelled)
+
+    /**
+     * Encodes a DOM canvas or OffscreenCanvas
+     */
+    function canvasToBlob(canvas, mimeType = 'image/png', quality) {
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: mimeType, quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Image encoding failed")), mimeType, quality);
+        });
+    }
+
+    /**
+     * Lays frames out in a grid and resolves with the image Blob.
+     *   frames   anything drawImage accepts (ImageBitmaps, canvases, ...)
+     *   options  { labels, columns, cellWidth, mimeType }
+     * Cells keep the first frame's aspect ratio; columns defaults to a
+     * roughly square grid.
+     */
+    function createContactSheet(frames, options = {}) {
+        if (!frames.length) {
+            return Promise.reject(new Error("No frames to put on the contact sheet"));
+        }
+
+        const labels = options.labels || null;
+        const columns = options.columns || Math.ceil(Math.sqrt(frames.length));
+        const rows = Math.ceil(frames.length / columns);
+        const cellWidth = options.cellWidth || Math.min(480, frames[0].width);
+        const cellHeight = Math.round(cellWidth * frames[0].height / frames[0].width);
+        const labelHeight = labels ? LABEL_HEIGHT : 0;
+
+        const sheet = createCanvas(
+            SHEET_GAP + columns * (cellWidth + SHEET_GAP),
+            SHEET_GAP + rows * (cellHeight + labelHeight + SHEET_GAP)
+        );
+        const ctx = sheet.getContext('2d');
+        ctx.fillStyle = SHEET_BACKGROUND;
+        ctx.fillRect(0, 0, sheet.width, sheet.height);
+
+        ctx.font = `${Math.round(LABEL_HEIGHT * 0.55)}px Georgia, serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        frames.forEach((frame, i) => {
+            const x = SHEET_GAP + (i % columns) * (cellWidth + SHEET_GAP);
+            const y = SHEET_GAP + Math.floor(i / columns) * (cellHeight + labelHeight + SHEET_GAP);
+            ctx.drawImage(frame, x, y, cellWidth, cellHeight);
+
+            if (labels && labels[i]) {
+                ctx.fillStyle = '#ddd';
+                ctx.fillText(labels[i], x + cellWidth / 2, y + cellHeight + labelHeight / 2, cellWidth - 8);
+            }
+        });
+
+        return canvasToBlob(sheet, options.mimeType || 'image/png');
+    }
+
+    /**
+     * Plays encoded frames (image Blobs) onto a canvas at fps and records
+     * them with MediaRecorder. Main thread only (needs captureStream).
+     *   options  { fps, width, height, mimeType }
+     */
+    async function framesToVideo(frames, options) {
+        const fps = options.fps || 10;
+        const canvas = document.createElement('canvas');
+        canvas.width = options.width;
+        canvas.height = options.height;
+        const ctx = canvas.getContext('2d');
+
+        const stream = canvas.captureStream(fps);
+        const recorder = new MediaRecorder(stream, { mimeType: options.mimeType });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        // Draw the first frame before starting so the video doesn't open on black
+        const first = await createImageBitmap(frames[0]);
+        ctx.drawImage(first, 0, 0, canvas.width, canvas.height);
+        first.close();
+        recorder.start();
+
+        for (let i = 1; i < frames.length; i++) {
+            const [bitmap] = await Promise.all([
+                createImageBitmap(frames[i]),
+                new Promise(resolve => setTimeout(resolve, 1000 / fps))
+            ]);
+            ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000 / fps)); // Hold the last frame
+
+        recorder.stop();
+        stream.getTracks().forEach(track => track.stop());
+        await stopped;
+        return new Blob(chunks, { type: recorder.mimeType });
+    }
+
+    PsycheOS.assemble = {
+        createContactSheet,
+        framesToVideo,
+        canvasToBlob
+    };
+
+})(self);
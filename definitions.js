@@ -0,0 +1,449 @@
+// Psyche.OS archetype definitions
+// Lets archetypes be authored as JSON instead of script: metadata plus a
+// chain of built-in operations, run in order over the drawn frame, e.g.
+//   {
+//     "psycheos": 1,
+//     "id": "hero",
+//     "name": "The Hero",
+//     "symbol": "fa-solid fa-shield-halved",
+//     "description": "The courageous ego setting out to overcome the dragon.",
+//     "grade": "contrast(1.2)",
+//     "params": [
+//       { "id": "level", "label": "Gold level", "min": 0, "max": 255, "step": 1, "default": 110 },
+//       { "id": "gold", "label": "Gold", "type": "color", "default": "#ffc94a" }
+//     ],
+//     "ops": [
+//       { "op": "duotone", "threshold": "$level", "dark": "#1a0f00", "light": "$gold" },
+//       { "op": "vignette", "darkness": 0.7 }
+//     ]
+//   }
+// Operation fields take a literal or "$paramId" to follow a declared
+// parameter. A file holds one definition or an array of them.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    const FORMAT_VERSION = 1;
+    const MAX_OPS = 16;
+    const MAX_PARAMS = 12;
+
+    const ID_PATTERN = /^[a-z0-9_-]+$/i;
+    const SYMBOL_PATTERN = /^[a-z0-9 -]+$/i; // Font Awesome classes only (ends up in markup)
+    const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+    const GRADE_STEP = /([a-z-]+)\(\s*[-\d.]+(?:%|deg|turn|rad)?\s*\)/gi;
+    const TOP_LEVEL_KEYS = ['psycheos', 'id', 'name', 'symbol', 'description', 'grade', 'params', 'ops'];
+
+    const { hexToRgb } = PsycheOS.kernels;
+
+    // --- Operations ---
+    // fields: name -> { type: 'number'|'color'|'grade', default, min, max }
+    // run(ctx, frame, values) gets the resolved field values.
+
+    const OPS = {
+        invert: {
+            fields: {
+                amount: { type: 'number', default: 1, min: 0, max: 1 }
+            },
+            run: runInvert
+        },
+        duotone: {
+            // Luma threshold: darker pixels take `dark`, the rest `light`
+            fields: {
+                threshold: { type: 'number', default: 128, min: 0, max: 255 },
+                dark: { type: 'color', default: '#000000' },
+                light: { type: 'color', default: '#ffffff' }
+            },
+            run: runDuotone
+        },
+        edges: {
+            fields: {
+                threshold: { type: 'number', default: 20, min: 0, max: 255 },
+                edgeColor: { type: 'color', default: '#ffffff' },
+                backgroundColor: { type: 'color', default: '#141414' }
+            },
+            run: runEdges
+        },
+        vignette: {
+            // Radii are fractions of the frame width; sound closes it in
+            fields: {
+                inner: { type: 'number', default: 1 / 3, min: 0, max: 2 },
+                outer: { type: 'number', default: 2 / 3, min: 0, max: 2 },
+                darkness: { type: 'number', default: 0.8, min: 0, max: 1 },
+                color: { type: 'color', default: '#000000' },
+                sound: { type: 'number', default: 0, min: 0, max: 1 }
+            },
+            run: runVignette
+        },
+        'slice-glitch': {
+            // motion is the extra chance at full movement (frame.modulation)
+            fields: {
+                chance: { type: 'number', default: 0.15, min: 0, max: 1 },
+                motion: { type: 'number', default: 0, min: 0, max: 1 },
+                slices: { type: 'number', default: 2, min: 1, max: 20 },
+                maxOffset: { type: 'number', default: 40, min: 0, max: 400 }
+            },
+            run: runSliceGlitch
+        },
+        grade: {
+            // CSS-style grade mid-chain (the top-level "grade" runs last)
+            fields: {
+                filter: { type: 'grade', default: 'none' }
+            },
+            run: (ctx, frame, values) => PsycheOS.grade.apply(ctx, values.filter)
+        }
+    };
+
+    // --- GPU Shaders ---
+    // Same 0-255 threshold scale as the CPU loops (see gl.js)
+
+    PsycheOS.gpu.registerShader('op-invert', `
+        uniform float u_amount;
+        void main() {
+            vec4 color = texture2D(u_image, v_texCoord);
+            gl_FragColor = vec4(mix(color.rgb, 1.0 - color.rgb, u_amount), color.a);
+        }
+    `);
+
+    PsycheOS.gpu.registerShader('op-duotone', `
+        uniform float u_threshold;
+        uniform vec3 u_dark;
+        uniform vec3 u_light;
+        void main() {
+            vec4 color = texture2D(u_image, v_texCoord);
+            gl_FragColor = vec4(luma(color.rgb) * 255.0 <= u_threshold ? u_dark : u_light, color.a);
+        }
+    `);
+
+    PsycheOS.gpu.registerShader('op-edges', `
+        uniform float u_threshold;
+        uniform vec3 u_edgeColor;
+        uniform vec3 u_backgroundColor;
+        void main() {
+            float c = luma(texture2D(u_image, v_texCoord).rgb);
+            float l = luma(texture2D(u_image, v_texCoord - vec2(u_texel.x, 0.0)).rgb);
+            float r = luma(texture2D(u_image, v_texCoord + vec2(u_texel.x, 0.0)).rgb);
+            float t = luma(texture2D(u_image, v_texCoord - vec2(0.0, u_texel.y)).rgb);
+            float b = luma(texture2D(u_image, v_texCoord + vec2(0.0, u_texel.y)).rgb);
+            float val = (4.0 * c - l - r - t - b) * 255.0;
+            gl_FragColor = vec4(abs(val) > u_threshold ? u_edgeColor : u_backgroundColor, 1.0);
+        }
+    `);
+
+    function runInvert(ctx, frame, values) {
+        if (PsycheOS.gpu.apply(ctx, 'op-invert', { u_amount: values.amount })) return;
+
+        const imageData = ctx.getImageData(0, 0, frame.width, frame.height);
+        ctx.putImageData(PsycheOS.kernels.invert(imageData, values, imageData), 0, 0);
+    }
+
+    function runDuotone(ctx, frame, values) {
+        const dark = hexToRgb(values.dark);
+        const light = hexToRgb(values.light);
+        if (PsycheOS.gpu.apply(ctx, 'op-duotone', {
+            u_threshold: values.threshold,
+            u_dark: dark.map(c => c / 255),
+            u_light: light.map(c => c / 255)
+        })) return;
+
+        const imageData = ctx.getImageData(0, 0, frame.width, frame.height);
+        PsycheOS.kernels.duotone(imageData, { threshold: values.threshold, dark, light }, imageData);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    function runEdges(ctx, frame, values) {
+        const edgeColor = hexToRgb(values.edgeColor);
+        const backgroundColor = hexToRgb(values.backgroundColor);
+        if (PsycheOS.gpu.apply(ctx, 'op-edges', {
+            u_threshold: values.threshold,
+            u_edgeColor: edgeColor.map(c => c / 255),
+            u_backgroundColor: backgroundColor.map(c => c / 255)
+        })) return;
+
+        const imageData = ctx.getImageData(0, 0, frame.width, frame.height);
+        PsycheOS.kernels.laplacianEdges(imageData, { threshold: values.threshold, edgeColor, backgroundColor }, imageData);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    function runVignette(ctx, frame, values) {
+        const width = frame.width;
+        const height = frame.height;
+        const [r, g, b] = hexToRgb(values.color);
+        const breath = frame.modulation.audio * values.sound;
+        const gradient = ctx.createRadialGradient(width / 2, height / 2, width * values.inner * (1 - breath),
+                                                  width / 2, height / 2, width * values.outer * (1 - breath * 0.5));
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0)`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, ${values.darkness})`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    function runSliceGlitch(ctx, frame, values) {
+        // Random flicker; leave it out for reduced motion
+        const chance = values.chance + frame.modulation.motion * values.motion;
+        if (frame.reducedMotion || frame.random() >= chance) return;
+
+        const width = frame.width;
+        const height = frame.height;
+        for (let i = 0; i < Math.round(values.slices); i++) {
+            const y = frame.random() * height;
+            const h = frame.random() * 30 + 10;
+            const xOffset = (frame.random() - 0.5) * values.maxOffset;
+            ctx.drawImage(ctx.canvas, xOffset, y, width, h, 0, y, width, h);
+        }
+    }
+
+    // --- Validation ---
+
+    /**
+     * Checks a parsed definition and returns a list of problems (empty if
+     * it can be defined). Messages name the offending field for the UI.
+     */
+    function validate(def) {
+        const errors = [];
+        if (!def || typeof def !== 'object' || Array.isArray(def)) {
+            return ["a definition must be a JSON object"];
+        }
+
+        const label = typeof def.id === 'string' && def.id ? `"${def.id}"` : 'archetype';
+        const fail = (message) => errors.push(`${label}: ${message}`);
+
+        Object.keys(def).forEach(key => {
+            if (!TOP_LEVEL_KEYS.includes(key)) fail(`unknown field "${key}"`);
+        });
+        if (def.psycheos !== undefined && def.psycheos !== FORMAT_VERSION) {
+            fail(`made for format version ${JSON.stringify(def.psycheos)}, this mirror reads version ${FORMAT_VERSION}`);
+        }
+        if (typeof def.id !== 'string' || !ID_PATTERN.test(def.id)) {
+            fail('"id" must use only letters, digits, "-" and "_"');
+        }
+        if (typeof def.name !== 'string' || !def.name.trim()) {
+            fail('"name" is required');
+        }
+        if (def.symbol !== undefined && (typeof def.symbol !== 'string' || !SYMBOL_PATTERN.test(def.symbol))) {
+            fail('"symbol" must be Font Awesome classes, e.g. "fa-solid fa-star"');
+        }
+        if (def.description !== undefined && typeof def.description !== 'string') {
+            fail('"description" must be text');
+        }
+        if (def.grade !== undefined) {
+            const problem = checkGrade(def.grade);
+            if (problem) fail(`"grade" ${problem}`);
+        }
+
+        const params = validateParams(def.params, fail);
+        validateOps(def.ops, params, fail);
+        return errors;
+    }
+
+    /**
+     * Returns the valid parameters by id so op references can be checked
+     */
+    function validateParams(params, fail) {
+        const byId = {};
+        if (params === undefined) return byId;
+        if (!Array.isArray(params)) {
+            fail('"params" must be a list');
+            return byId;
+        }
+        if (params.length > MAX_PARAMS) {
+            fail(`at most ${MAX_PARAMS} params are allowed`);
+        }
+
+        params.forEach((p, i) => {
+            const where = `params[${i}]`;
+            if (!p || typeof p.id !== 'string' || !ID_PATTERN.test(p.id)) {
+                fail(`${where} needs an "id" of letters, digits, "-" and "_"`);
+                return;
+            }
+            if (p.id in byId) {
+                fail(`${where} repeats the id "${p.id}"`);
+                return;
+            }
+            const type = p.type || 'range';
+            if (type === 'color') {
+                if (p.default !== undefined && !COLOR_PATTERN.test(p.default)) {
+                    fail(`${where} default must be a color like "#ff8800"`);
+                    return;
+                }
+            } else if (type === 'range') {
+                const min = p.min === undefined ? 0 : p.min;
+                const max = p.max === undefined ? 1 : p.max;
+                if (!isNumber(min) || !isNumber(max) || min >= max) {
+                    fail(`${where} needs numeric "min" < "max"`);
+                    return;
+                }
+                if (p.default !== undefined && !isNumber(p.default)) {
+                    fail(`${where} default must be a number`);
+                    return;
+                }
+            } else {
+                fail(`${where} type must be "range" or "color"`);
+                return;
+            }
+            byId[p.id] = type;
+        });
+        return byId;
+    }
+
+    function validateOps(ops, params, fail) {
+        if (!Array.isArray(ops) || !ops.length) {
+            fail('"ops" must be a non-empty list of operations');
+            return;
+        }
+        if (ops.length > MAX_OPS) {
+            fail(`at most ${MAX_OPS} ops are allowed`);
+        }
+
+        ops.forEach((op, i) => {
+            const where = `ops[${i}]`;
+            const spec = op && OPS[op.op];
+            if (!spec) {
+                fail(`${where} "op" must be one of ${Object.keys(OPS).join(', ')}`);
+                return;
+            }
+
+            Object.keys(op).forEach(key => {
+                if (key === 'op') return;
+                const field = spec.fields[key];
+                if (!field) {
+                    fail(`${where} (${op.op}) has no field "${key}"`);
+                    return;
+                }
+                const value = op[key];
+
+                // "$id" follows a declared parameter of the matching type
+                const ref = paramRef(value);
+                if (ref !== null) {
+                    const wanted = field.type === 'number' ? 'range' : field.type;
+                    if (params[ref] !== wanted) {
+                        fail(`${where}.${key} refers to "${value}", which isn't a ${wanted} param`);
+                    }
+                    return;
+                }
+
+                if (field.type === 'number' && !isNumber(value)) {
+                    fail(`${where}.${key} must be a number`);
+                } else if (field.type === 'color' && !COLOR_PATTERN.test(value)) {
+                    fail(`${where}.${key} must be a color like "#ff8800"`);
+                } else if (field.type === 'grade') {
+                    const problem = checkGrade(value);
+                    if (problem) fail(`${where}.${key} ${problem}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Returns why a CSS-style grade string can't be applied, or null
+     */
+    function checkGrade(grade) {
+        if (typeof grade !== 'string') return "must be text like \"sepia(0.5) contrast(1.2)\"";
+        if (grade.trim() === 'none') return null;
+
+        const unknown = [];
+        const rest = grade.replace(GRADE_STEP, (match, fn) => {
+            if (!PsycheOS.grade.functions.includes(fn.toLowerCase())) unknown.push(fn);
+            return '';
+        });
+        if (unknown.length) return `uses unsupported functions: ${unknown.join(', ')}`;
+        if (rest.trim()) return `can't be read near "${rest.trim().slice(0, 20)}"`;
+        return null;
+    }
+
+    // --- Defining ---
+
+    /**
+     * Validates a definition and registers it as an archetype. Throws a
+     * TypeError listing the problems if it isn't valid.
+     */
+    function defineArchetype(def) {
+        const errors = validate(def);
+        if (errors.length) {
+            throw new TypeError(`defineArchetype: ${errors.join('; ')}`);
+        }
+
+        // Keep a private copy so later edits to the object can't change it
+        const definition = JSON.parse(JSON.stringify(def));
+        const chain = definition.ops.map(compileOp);
+
+        return PsycheOS.registerArchetype({
+            id: definition.id,
+            name: definition.name,
+            symbol: definition.symbol,
+            description: definition.description,
+            cssGrade: definition.grade,
+            params: definition.params,
+            post(ctx, frame) {
+                chain.forEach(step => step(ctx, frame));
+            },
+            definition
+        });
+    }
+
+    /**
+     * Turns one op into step(ctx, frame), resolving "$param" references
+     * against frame.params and clamping numbers to the field's range
+     */
+    function compileOp(op) {
+        const spec = OPS[op.op];
+        const fields = Object.keys(spec.fields);
+
+        return (ctx, frame) => {
+            const values = {};
+            fields.forEach(key => {
+                const field = spec.fields[key];
+                const ref = paramRef(op[key]);
+                let value = ref !== null ? frame.params[ref] : op[key];
+                if (value === undefined) value = field.default;
+                if (field.type === 'number') {
+                    value = Math.min(field.max, Math.max(field.min, value));
+                }
+                values[key] = value;
+            });
+
+            ctx.save();
+            try {
+                spec.run(ctx, frame, values);
+            } finally {
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Reads a file's text as a list of definitions (one object or an array).
+     * Throws a SyntaxError for malformed JSON.
+     */
+    function parseDefinitions(text) {
+        const json = JSON.parse(text);
+        return Array.isArray(json) ? json : [json];
+    }
+
+    /**
+     * JSON text for sharing definitions (a single one stays unwrapped)
+     */
+    function serializeDefinitions(definitions) {
+        const list = definitions.map(def => Object.assign({ psycheos: FORMAT_VERSION }, def));
+        return JSON.stringify(list.length === 1 ? list[0] : list, null, 2);
+    }
+
+    // --- Helpers ---
+
+    function paramRef(value) {
+        return typeof value === 'string' && value[0] === '$' ? value.slice(1) : null;
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    PsycheOS.definitions = {
+        FORMAT_VERSION,
+        OPS,
+        validate,
+        parse: parseDefinitions,
+        serialize: serializeDefinitions
+    };
+    PsycheOS.defineArchetype = defineArchetype;
+
+})(self);
@@ -0,0 +1,177 @@
+// Psyche.OS embedding
+// Lets a host page drive the mirror, e.g. a workshop page with the mirror in
+// an iframe. Scripts on the same origin use the JS API (every command
+// returns a Promise and waits for the app to start):
+//   const mirror = frame.contentWindow.PsycheOS.mirror;  // or PsycheOS.mirror on the page
+//   await mirror.ready
+//   await mirror.listArchetypes()    -> [{ id, name, symbol, description }]
+//   await mirror.getArchetype()      -> id of the archetype on screen
+//   await mirror.setArchetype(id)    switch to it (with the picked transition)
+//   await mirror.random()            spin the slot machine -> the picked id
+//   await mirror.screenshot()        -> PNG Blob of the current view
+//   await mirror.startRecording()    start now (no countdown) in the picked format
+//   await mirror.stopRecording()     -> the video, GIF or PNG-sequence ZIP Blob
+//   mirror.on(event, fn) / mirror.off(event, fn)
+// Events (fn gets the detail):
+//   'ready'            { archetype, archetypes }   the app has started
+//   'archetypechange'  { id, name, previousId }    the archetype on screen changed
+//   'capture'          { kind, filename, stack, blob }
+//                                                  a screenshot or recording finished
+//                                                  (kind as in the gallery, e.g. 'image', 'video')
+//   'capturefailed'    { kind, code, message }
+// Failed commands reject with a PsycheError (see errors.js), e.g. code
+// 'unknown-archetype' or 'mirror-busy'.
+//
+// Pages on other origins use the same commands over postMessage:
+//   host -> mirror   { psycheos: 1, id, command, args }   (args: the argument array)
+//   mirror -> host   { psycheos: 1, type: 'result', id, result }
+//                    { psycheos: 1, type: 'error', id, error: { code, message } }
+//                    { psycheos: 1, type: 'event', event, detail }
+// Only the page's own origin and those listed in
+//   <meta name="psycheos-embed-origins" content="https://a.example https://b.example">
+// are answered. Events go to the embedding page (if its origin is allowed)
+// and to every allowed window that has sent a command.
+//
+// ?headless=1 hides the built-in controls for hosts that bring their own.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    const PROTOCOL_VERSION = 1;
+
+    // Commands a host may send (the API methods, minus on/off/ready)
+    const COMMANDS = [
+        'listArchetypes', 'getArchetype', 'setArchetype', 'random',
+        'screenshot', 'startRecording', 'stopRecording'
+    ];
+
+    // Events forwarded to host pages
+    const EVENTS = ['ready', 'archetypechange', 'capture', 'capturefailed'];
+
+    /**
+     * A minimal event emitter: on(type, fn), off(type, fn), emit(type, detail).
+     * A throwing listener is logged and doesn't stop the others.
+     */
+    function createEmitter() {
+        const listeners = {};
+        return {
+            on(type, fn) {
+                (listeners[type] = listeners[type] || []).push(fn);
+            },
+            off(type, fn) {
+                if (listeners[type]) {
+                    listeners[type] = listeners[type].filter(listener => listener !== fn);
+                }
+            },
+            emit(type, detail) {
+                (listeners[type] || []).slice().forEach(fn => {
+                    try {
+                        fn(detail);
+                    } catch (err) {
+                        console.error(`Mirror "${type}" listener failed:`, err);
+                    }
+                });
+            }
+        };
+    }
+
+    /**
+     * Origins allowed to send commands: the page's own plus the ones in the
+     * psycheos-embed-origins meta tag
+     */
+    function readAllowedOrigins(doc = root.document) {
+        const origins = new Set([root.location.origin]);
+        const meta = doc.querySelector('meta[name="psycheos-embed-origins"]');
+        const entries = meta ? meta.content.split(/\s+/).filter(Boolean) : [];
+        entries.forEach(entry => {
+            try {
+                origins.add(new URL(entry).origin);
+            } catch (err) {
+                console.warn("Ignoring invalid embed origin:", entry);
+            }
+        });
+        return origins;
+    }
+
+    /**
+     * Answers postMessage commands from allowed origins by calling the
+     * matching api method, and posts events back.
+     *   api             the mirror API (see above)
+     *   allowedOrigins  Set of origins, see readAllowedOrigins()
+     * Returns { post(event, detail), stop() }.
+     */
+    function createMessageBridge(api, allowedOrigins) {
+        const { PsycheError, toPsycheError } = PsycheOS.errors;
+        const subscribers = new Map(); // origin -> window to post events to
+
+        // The embedding page gets events without having to send a command first
+        const parentOrigin = referrerOrigin();
+        if (root.parent !== root && parentOrigin && allowedOrigins.has(parentOrigin)) {
+            subscribers.set(parentOrigin, root.parent);
+        }
+
+        async function handleMessage(e) {
+            const msg = e.data;
+            // Other scripts use postMessage too; only look at our protocol
+            if (!msg || msg.psycheos !== PROTOCOL_VERSION || typeof msg.command !== 'string') return;
+            if (!allowedOrigins.has(e.origin)) {
+                console.warn("Ignoring mirror command from an origin that isn't allowed:", e.origin);
+                return;
+            }
+            if (!e.source) return;
+            subscribers.set(e.origin, e.source);
+
+            const reply = (body) => {
+                e.source.postMessage(Object.assign({ psycheos: PROTOCOL_VERSION, id: msg.id }, body), e.origin);
+            };
+            try {
+                if (!COMMANDS.includes(msg.command)) {
+                    throw new PsycheError('unknown-command');
+                }
+                const result = await api[msg.command](...(Array.isArray(msg.args) ? msg.args : []));
+                reply({ type: 'result', result });
+            } catch (err) {
+                const error = toPsycheError(err, 'command-failed');
+                reply({ type: 'error', error: { code: error.code, message: error.message } });
+            }
+        }
+
+        root.addEventListener('message', handleMessage);
+
+        return {
+            post(event, detail) {
+                subscribers.forEach((target, origin) => {
+                    try {
+                        target.postMessage({ psycheos: PROTOCOL_VERSION, type: 'event', event, detail }, origin);
+                    } catch (err) {
+                        console.warn(`Could not send the "${event}" event to ${origin}:`, err);
+                    }
+                });
+            },
+            stop() {
+                root.removeEventListener('message', handleMessage);
+            }
+        };
+    }
+
+    /**
+     * Origin of the page that linked or embedded this one, or null
+     */
+    function referrerOrigin() {
+        try {
+            return root.document.referrer ? new URL(root.document.referrer).origin : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    PsycheOS.embed = {
+        PROTOCOL_VERSION,
+        COMMANDS,
+        EVENTS,
+        createEmitter,
+        readAllowedOrigins,
+        createMessageBridge
+    };
+
+})(self);
@@ -0,0 +1,79 @@
+// Psyche.OS errors
+// Typed errors for the things that can go wrong with cameras, files and
+// recording. Each one carries a stable code so the app can show a helpful
+// status banner (and the right recovery action) instead of a blocking alert().
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    // Default user-facing message per error code
+    const MESSAGES = {
+        'permission-denied': "Camera permission was denied. Allow camera access in your browser settings, then retry.",
+        'device-busy': "The camera couldn't be started. It may be in use by another app.",
+        'no-camera': "No camera was found. You can still open an image or video file.",
+        'playback-failed': "The video couldn't be played.",
+        'unsupported-file': "That file type isn't supported. Try an image or a video.",
+        'no-recorder-format': "Video recording isn't supported in this browser. Try the GIF or PNG formats instead.",
+        'capture-failed': "The image couldn't be saved.",
+        'export-failed': "The recording couldn't be exported.",
+        'gallery-failed': "The gallery couldn't be read or updated.",
+        'invalid-archetype': "That archetype file couldn't be imported.",
+        'microphone-failed': "The microphone couldn't be started. Check the browser's microphone permission.",
+        'invalid-lut': "That LUT couldn't be read. Use a 1D or 3D .cube file.",
+        'unknown-archetype': "There's no archetype with that id.",
+        'unknown-command': "That isn't a mirror command.",
+        'mirror-busy': "The mirror is busy (spinning, counting down or encoding). Try again in a moment.",
+        'not-recording': "The mirror isn't recording.",
+        'command-failed': "The mirror couldn't carry out that command.",
+        'startup-failed': "The mirror couldn't start."
+    };
+
+    class PsycheError extends Error {
+        /**
+         * code is one of the MESSAGES keys; message defaults to its text and
+         * cause keeps the original (DOMException, ...) error for the console
+         */
+        constructor(code, message, cause) {
+            super(message || MESSAGES[code] || code);
+            this.name = 'PsycheError';
+            this.code = code;
+            this.cause = cause;
+        }
+    }
+
+    /**
+     * Maps a getUserMedia / play() failure onto a PsycheError
+     */
+    function fromMediaError(err) {
+        if (err instanceof PsycheError) return err;
+
+        switch (err && err.name) {
+            case 'NotAllowedError':
+            case 'SecurityError':
+                return new PsycheError('permission-denied', null, err);
+            case 'NotFoundError':
+            case 'OverconstrainedError': // e.g. the picked device is gone
+                return new PsycheError('no-camera', null, err);
+            case 'NotReadableError':
+            case 'AbortError':
+                return new PsycheError('device-busy', null, err);
+            default:
+                return new PsycheError('playback-failed', null, err);
+        }
+    }
+
+    /**
+     * Wraps anything thrown into a PsycheError with the given fallback code
+     */
+    function toPsycheError(err, code) {
+        return err instanceof PsycheError ? err : new PsycheError(code, null, err);
+    }
+
+    PsycheOS.errors = {
+        PsycheError,
+        fromMediaError,
+        toPsycheError,
+        MESSAGES
+    };
+
+})(self);
@@ -0,0 +1,172 @@
+// Psyche.OS capture gallery
+// Screenshots and recordings kept in IndexedDB so they outlive the page.
+// Two object stores:
+//   'captures'  metadata + a small thumbnail, keyed by an auto-increment id
+//   'blobs'     the full files under the same id
+// so browsing the gallery never has to load every video into memory.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    const DB_NAME = 'psycheos-gallery';
+    const DB_VERSION = 1;
+
+    let dbPromise = null;
+
+    // --- IndexedDB Helpers ---
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error("Gallery transaction aborted"));
+        });
+    }
+
+    /**
+     * Opens (and on first use creates) the gallery database
+     */
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error("IndexedDB is not available"));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const captures = db.createObjectStore('captures', { keyPath: 'id', autoIncrement: true });
+                    captures.createIndex('createdAt', 'createdAt');
+                    db.createObjectStore('blobs');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            dbPromise.catch(() => { dbPromise = null; }); // Allow a later retry
+        }
+        return dbPromise;
+    }
+
+    // --- Captures ---
+
+    /**
+     * Stores a capture. meta is a plain object:
+     *   { kind, filename, filterId, stack, layers, params, thumbnail }
+     * (thumbnail is an optional image Blob). Resolves with the new id.
+     */
+    async function addCapture(blob, meta) {
+        const db = await openDb();
+        const tx = db.transaction(['captures', 'blobs'], 'readwrite');
+        const record = Object.assign({}, meta, {
+            type: blob.type,
+            size: blob.size + (meta.thumbnail ? meta.thumbnail.size : 0),
+            createdAt: meta.createdAt || Date.now()
+        });
+
+        const addRequest = tx.objectStore('captures').add(record);
+        addRequest.onsuccess = () => tx.objectStore('blobs').put(blob, addRequest.result);
+
+        await transactionDone(tx);
+        return addRequest.result;
+    }
+
+    /**
+     * All capture records (without the full files), newest first
+     */
+    async function listCaptures() {
+        const db = await openDb();
+        const records = await promisify(db.transaction('captures').objectStore('captures').getAll());
+        return records.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * The full file of a capture
+     */
+    async function getBlob(id) {
+        const db = await openDb();
+        return promisify(db.transaction('blobs').objectStore('blobs').get(id));
+    }
+
+    async function deleteCapture(id) {
+        const db = await openDb();
+        const tx = db.transaction(['captures', 'blobs'], 'readwrite');
+        tx.objectStore('captures').delete(id);
+        tx.objectStore('blobs').delete(id);
+        await transactionDone(tx);
+    }
+
+    async function clearCaptures() {
+        const db = await openDb();
+        const tx = db.transaction(['captures', 'blobs'], 'readwrite');
+        tx.objectStore('captures').clear();
+        tx.objectStore('blobs').clear();
+        await transactionDone(tx);
+    }
+
+    /**
+     * Bytes used by all captures (files plus thumbnails)
+     */
+    async function totalSize() {
+        const records = await listCaptures();
+        return records.reduce((sum, record) => sum + record.size, 0);
+    }
+
+    /**
+     * Deletes the oldest captures until the gallery fits in maxBytes.
+     * The newest capture is always kept, even if it alone is over the
+     * quota. Resolves with the number of captures evicted.
+     */
+    async function enforceQuota(maxBytes) {
+        const records = await listCaptures();
+        let used = records.reduce((sum, record) => sum + record.size, 0);
+        let evicted = 0;
+
+        for (let i = records.length - 1; i > 0 && used > maxBytes; i--) {
+            await deleteCapture(records[i].id);
+            used -= records[i].size;
+            evicted++;
+        }
+        return evicted;
+    }
+
+    /**
+     * Bundles the given capture records into one ZIP Blob
+     */
+    async function exportZip(records) {
+        const usedNames = new Set();
+        const files = [];
+
+        for (const record of records) {
+            const blob = await getBlob(record.id);
+            if (!blob) continue;
+
+            // Screenshots of the same stack share a filename
+            let name = record.filename;
+            if (usedNames.has(name)) name = `${record.id}_${name}`;
+            usedNames.add(name);
+
+            files.push({ name, blob, date: new Date(record.createdAt) });
+        }
+        return PsycheOS.zip.createZip(files);
+    }
+
+    PsycheOS.gallery = {
+        addCapture,
+        listCaptures,
+        getBlob,
+        deleteCapture,
+        clearCaptures,
+        totalSize,
+        enforceQuota,
+        exportZip
+    };
+
+})(self);
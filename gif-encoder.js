@@ -0,0 +1,320 @@
+// Psyche.OS animated GIF encoder
+// Pure JS (no canvas needed), so captured frames can be turned into a GIF
+// anywhere. Each frame gets its own palette:
+//  - frames with <= 256 distinct colors (the Anima outline, hard duotones)
+//    keep their exact colors, with no quantization error at all;
+//  - everything else is median-cut quantized, which spends the palette where
+//    the frame actually has colors (e.g. 256 shades of red for the Trickster
+//    redscale instead of a generic web palette).
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    const MAX_COLORS = 256;
+
+    // --- Byte Output ---
+
+    function createByteWriter() {
+        const chunks = [];
+        let buffer = new Uint8Array(4096);
+        let pos = 0;
+
+        function flush() {
+            if (pos > 0) {
+                chunks.push(buffer.slice(0, pos));
+                pos = 0;
+            }
+        }
+
+        return {
+            byte(b) {
+                if (pos === buffer.length) flush();
+                buffer[pos++] = b;
+            },
+            short(v) {
+                this.byte(v & 0xff);
+                this.byte((v >> 8) & 0xff);
+            },
+            bytes(arr) {
+                for (let i = 0; i < arr.length; i++) this.byte(arr[i]);
+            },
+            string(str) {
+                for (let i = 0; i < str.length; i++) this.byte(str.charCodeAt(i));
+            },
+            toBlob(type) {
+                flush();
+                return new Blob(chunks, { type });
+            }
+        };
+    }
+
+    // --- Color Quantization ---
+
+    /**
+     * Exact palette if the frame has at most 256 colors, else null
+     */
+    function exactPalette(rgba) {
+        const colors = new Map(); // 0xRRGGBB -> palette index
+        for (let i = 0; i < rgba.length; i += 4) {
+            const key = (rgba[i] << 16) | (rgba[i + 1] << 8) | rgba[i + 2];
+            if (!colors.has(key)) {
+                if (colors.size === MAX_COLORS) return null;
+                colors.set(key, colors.size);
+            }
+        }
+
+        const palette = new Uint8Array(colors.size * 3);
+        colors.forEach((index, key) => {
+            palette[index * 3] = key >> 16;
+            palette[index * 3 + 1] = (key >> 8) & 0xff;
+            palette[index * 3 + 2] = key & 0xff;
+        });
+
+        const indices = new Uint8Array(rgba.length / 4);
+        for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+            indices[p] = colors.get((rgba[i] << 16) | (rgba[i + 1] << 8) | rgba[i + 2]);
+        }
+        return { palette, indices };
+    }
+
+    /**
+     * Median-cut quantization on a 5-bit-per-channel histogram
+     */
+    function medianCut(rgba) {
+        // 1. Histogram of 15-bit colors
+        const histogram = new Uint32Array(32768);
+        for (let i = 0; i < rgba.length; i += 4) {
+            histogram[((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3)]++;
+        }
+
+        const used = [];
+        for (let c = 0; c < histogram.length; c++) {
+            if (histogram[c]) used.push(c);
+        }
+
+        // 2. Split boxes until we have enough of them
+        const channel = (c, ch) => (c >> (10 - ch * 5)) & 31;
+
+        function makeBox(colors) {
+            const min = [31, 31, 31];
+            const max = [0, 0, 0];
+            let count = 0;
+            colors.forEach(c => {
+                for (let ch = 0; ch < 3; ch++) {
+                    const v = channel(c, ch);
+                    if (v < min[ch]) min[ch] = v;
+                    if (v > max[ch]) max[ch] = v;
+                }
+                count += histogram[c];
+            });
+            const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+            const axis = ranges.indexOf(Math.max(...ranges));
+            return { colors, count, axis, range: ranges[axis] };
+        }
+
+        const boxes = [makeBox(used)];
+        while (boxes.length < MAX_COLORS) {
+            // Split the most populated box that can still be split
+            let target = -1;
+            let best = 0;
+            boxes.forEach((box, i) => {
+                const score = box.range > 0 ? box.count * box.range : 0;
+                if (score > best) {
+                    best = score;
+                    target = i;
+                }
+            });
+            if (target === -1) break;
+
+            const box = boxes[target];
+            box.colors.sort((a, b) => channel(a, box.axis) - channel(b, box.axis));
+
+            // Split at the median pixel (not the median color)
+            let half = box.count / 2;
+            let split = 0;
+            while (split < box.colors.length - 1 && half > 0) {
+                half -= histogram[box.colors[split]];
+                split++;
+            }
+            split = Math.max(1, Math.min(box.colors.length - 1, split));
+
+            boxes.splice(target, 1,
+                makeBox(box.colors.slice(0, split)),
+                makeBox(box.colors.slice(split)));
+        }
+
+        // 3. Palette = pixel-weighted average of each box
+        const palette = new Uint8Array(boxes.length * 3);
+        const lookup = new Uint8Array(32768);
+        boxes.forEach((box, index) => {
+            let r = 0, g = 0, b = 0;
+            box.colors.forEach(c => {
+                const n = histogram[c];
+                r += (channel(c, 0) << 3 | 4) * n;
+                g += (channel(c, 1) << 3 | 4) * n;
+                b += (channel(c, 2) << 3 | 4) * n;
+                lookup[c] = index;
+            });
+            palette[index * 3] = Math.round(r / box.count);
+            palette[index * 3 + 1] = Math.round(g / box.count);
+            palette[index * 3 + 2] = Math.round(b / box.count);
+        });
+
+        // 4. Map every pixel through its box
+        const indices = new Uint8Array(rgba.length / 4);
+        for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+            indices[p] = lookup[((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3)];
+        }
+        return { palette, indices };
+    }
+
+    /**
+     * Reduces an RGBA buffer to <= 256 colors: { palette (RGB bytes), indices }
+     */
+    function quantize(rgba) {
+        return exactPalette(rgba) || medianCut(rgba);
+    }
+
+    // --- LZW Compression ---
+
+    /**
+     * GIF-flavoured LZW (variable code size, max 12 bits), returning the
+     * raw code stream bytes
+     */
+    function lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+
+        const out = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dict = new Map();
+
+        function emit(code) {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.push(bitBuffer & 0xff);
+                bitBuffer >>= 8;
+                bitCount -= 8;
+            }
+        }
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = dict.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode < 4096) {
+                dict.set(key, nextCode);
+                if (nextCode === (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                }
+                nextCode++;
+            } else {
+                // Table full: start over
+                emit(clearCode);
+                dict = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            prefix = k;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) out.push(bitBuffer & 0xff);
+        return out;
+    }
+
+    // --- Encoder ---
+
+    /**
+     * Creates a looping GIF encoder:
+     *   encoder.addFrame(rgba, delayMs)  rgba: Uint8ClampedArray of width*height*4
+     *   encoder.finish() -> Blob ('image/gif')
+     */
+    function createEncoder(width, height) {
+        const out = createByteWriter();
+        let frameCount = 0;
+
+        // Header + logical screen (no global color table; frames bring their own)
+        out.string('GIF89a');
+        out.short(width);
+        out.short(height);
+        out.byte(0x70); // 8-bit color resolution, no global table
+        out.byte(0);    // Background color index
+        out.byte(0);    // Pixel aspect ratio
+
+        // NETSCAPE2.0 extension: loop forever
+        out.bytes([0x21, 0xff, 0x0b]);
+        out.string('NETSCAPE2.0');
+        out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+        function addFrame(rgba, delayMs) {
+            const { palette, indices } = quantize(rgba);
+
+            // Color tables must be a power of two (at least 2 entries)
+            const colors = palette.length / 3;
+            let bits = 1;
+            while ((1 << bits) < colors) bits++;
+
+            // Graphic control extension (frame delay in 1/100 s)
+            out.bytes([0x21, 0xf9, 0x04, 0x04]); // Disposal: do not dispose
+            out.short(Math.max(2, Math.round(delayMs / 10)));
+            out.bytes([0x00, 0x00]);
+
+            // Image descriptor with a local color table
+            out.byte(0x2c);
+            out.short(0);
+            out.short(0);
+            out.short(width);
+            out.short(height);
+            out.byte(0x80 | (bits - 1));
+
+            out.bytes(palette);
+            for (let i = colors; i < (1 << bits); i++) {
+                out.bytes([0, 0, 0]);
+            }
+
+            // Image data, in sub-blocks of up to 255 bytes
+            const minCodeSize = Math.max(2, bits);
+            const data = lzwEncode(indices, minCodeSize);
+            out.byte(minCodeSize);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.slice(i, i + 255);
+                out.byte(block.length);
+                out.bytes(block);
+            }
+            out.byte(0);
+
+            frameCount++;
+        }
+
+        function finish() {
+            out.byte(0x3b); // Trailer
+            return out.toBlob('image/gif');
+        }
+
+        return {
+            addFrame,
+            finish,
+            get frameCount() { return frameCount; }
+        };
+    }
+
+    PsycheOS.gif = {
+        createEncoder,
+        quantize
+    };
+
+})(self);
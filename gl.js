@@ -0,0 +1,260 @@
+// Psyche.OS WebGL renderer
+// Runs per-pixel archetype effects as fragment shaders on the GPU. Effects
+// call PsycheOS.gpu.apply(ctx, name, uniforms) and fall back to their
+// 2D-canvas loops whenever it returns false (no WebGL, lost context, ...).
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+    const { createCanvas } = PsycheOS; // registry.js
+
+    // --- Shared Shader Code ---
+    const VERTEX_SHADER = `
+        attribute vec2 a_position;
+        varying vec2 v_texCoord;
+        void main() {
+            // Flip Y so texture row 0 (top of the 2D canvas) lands at the top
+            v_texCoord = vec2(a_position.x * 0.5 + 0.5, 0.5 - a_position.y * 0.5);
+            gl_Position = vec4(a_position, 0.0, 1.0);
+        }
+    `;
+
+    // Prepended to every fragment shader: u_image is the current canvas,
+    // u_texel is the size of one pixel in texture coordinates.
+    const FRAGMENT_HEADER = `
+        precision mediump float;
+        uniform sampler2D u_image;
+        uniform vec2 u_texel;
+        uniform vec2 u_resolution;
+        varying vec2 v_texCoord;
+        float luma(vec3 c) { return dot(c, vec3(0.299, 0.587, 0.114)); }
+    `;
+
+    // --- Renderer State ---
+    const shaderSources = {};  // name -> fragment shader body
+    const programs = {};       // name -> { program, uniforms } (or null if it failed)
+
+    let glCanvas = null;
+    let gl = null;
+    let texture = null;
+    let dataTextures = new WeakMap(); // data texture source -> WebGLTexture (see apply)
+    let unavailable = false;   // Set once WebGL is known not to work here
+
+    /**
+     * Registers a fragment shader under a name. The body is appended to
+     * FRAGMENT_HEADER and must write gl_FragColor.
+     */
+    function registerShader(name, fragmentSource) {
+        shaderSources[name] = fragmentSource;
+        delete programs[name]; // Recompile on next use
+    }
+
+    /**
+     * Lazily creates the WebGL context and shared resources.
+     * Returns false if WebGL is not usable.
+     */
+    function setup() {
+        if (gl && !gl.isContextLost()) return true;
+        if (unavailable || !gpu.enabled) return false;
+
+        try {
+            glCanvas = createCanvas(1, 1);
+
+            // Software WebGL is fine, so don't fail on performance caveats
+            gl = glCanvas.getContext('webgl', {
+                alpha: true,
+                premultipliedAlpha: false,
+                preserveDrawingBuffer: true,
+                antialias: false,
+                depth: false
+            });
+        } catch (err) {
+            gl = null;
+        }
+
+        if (!gl) {
+            console.warn("WebGL unavailable, using the 2D canvas path.");
+            unavailable = true;
+            return false;
+        }
+
+        glCanvas.addEventListener('webglcontextlost', (e) => {
+            console.warn("WebGL context lost, falling back to the 2D canvas path.");
+            e.preventDefault();
+            Object.keys(programs).forEach(name => delete programs[name]);
+            texture = null;
+            dataTextures = new WeakMap();
+        });
+
+        // Full-screen quad (two triangles)
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+            -1, -1,  1, -1,  -1, 1,
+            -1,  1,  1, -1,   1, 1
+        ]), gl.STATIC_DRAW);
+
+        // NPOT textures need clamping and no mipmaps in WebGL 1
+        texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+        return true;
+    }
+
+    function compileShader(type, source) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(log);
+        }
+        return shader;
+    }
+
+    /**
+     * Returns the compiled program for a shader name (cached), or null
+     */
+    function getProgram(name) {
+        if (name in programs) return programs[name];
+
+        const source = shaderSources[name];
+        if (!source) {
+            console.warn("Unknown GPU shader:", name);
+            programs[name] = null;
+            return null;
+        }
+
+        try {
+            const program = gl.createProgram();
+            gl.attachShader(program, compileShader(gl.VERTEX_SHADER, VERTEX_SHADER));
+            gl.attachShader(program, compileShader(gl.FRAGMENT_SHADER, FRAGMENT_HEADER + source));
+            gl.linkProgram(program);
+            if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+                throw new Error(gl.getProgramInfoLog(program));
+            }
+            programs[name] = { program, uniforms: {} };
+        } catch (err) {
+            console.error(`GPU shader "${name}" failed to build:`, err);
+            programs[name] = null; // Don't retry every frame
+        }
+        return programs[name];
+    }
+
+    function uniformLocation(entry, name) {
+        if (!(name in entry.uniforms)) {
+            entry.uniforms[name] = gl.getUniformLocation(entry.program, name);
+        }
+        return entry.uniforms[name];
+    }
+
+    function setUniform(entry, name, value) {
+        const loc = uniformLocation(entry, name);
+        if (loc === null) return; // Unused (optimised away) uniform
+
+        if (typeof value === 'number') {
+            gl.uniform1f(loc, value);
+        } else if (value.length === 2) {
+            gl.uniform2fv(loc, value);
+        } else if (value.length === 3) {
+            gl.uniform3fv(loc, value);
+        } else if (value.length === 4) {
+            gl.uniform4fv(loc, value);
+        }
+    }
+
+    /**
+     * Returns the GL texture for a data texture { data, width, height }
+     * (RGBA bytes), uploading it the first time it is used. Unlike the frame
+     * texture it is sampled with linear filtering, so lookups interpolate.
+     */
+    function dataTexture(source) {
+        let tex = dataTextures.get(source);
+        if (!tex) {
+            tex = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, tex);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, source.width, source.height, 0,
+                          gl.RGBA, gl.UNSIGNED_BYTE, source.data);
+            dataTextures.set(source, tex);
+        }
+        return tex;
+    }
+
+    /**
+     * Runs a registered shader over the current contents of ctx.canvas and
+     * writes the result back. Returns false if the GPU path can't be used,
+     * in which case the caller should run its CPU fallback.
+     * textures maps extra sampler uniforms to data textures (see dataTexture);
+     * keep passing the same objects so they are only uploaded once.
+     */
+    function apply(ctx, name, uniforms, textures) {
+        if (!setup()) return false;
+
+        const entry = getProgram(name);
+        if (!entry) return false;
+
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        if (glCanvas.width !== width || glCanvas.height !== height) {
+            glCanvas.width = width;
+            glCanvas.height = height;
+        }
+
+        gl.viewport(0, 0, width, height);
+        gl.useProgram(entry.program);
+
+        // Upload the current canvas as the input texture
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, ctx.canvas);
+
+        const position = gl.getAttribLocation(entry.program, 'a_position');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        gl.uniform1i(uniformLocation(entry, 'u_image'), 0);
+        setUniform(entry, 'u_texel', [1 / width, 1 / height]);
+        setUniform(entry, 'u_resolution', [width, height]);
+        Object.keys(uniforms || {}).forEach(key => setUniform(entry, key, uniforms[key]));
+        Object.keys(textures || {}).forEach((key, i) => {
+            gl.activeTexture(gl.TEXTURE1 + i);
+            gl.bindTexture(gl.TEXTURE_2D, dataTexture(textures[key]));
+            gl.uniform1i(uniformLocation(entry, key), 1 + i);
+        });
+
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+        // Copy the result back, ignoring any transform/filter on the 2D context
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'copy';
+        ctx.globalAlpha = 1;
+        ctx.filter = 'none';
+        ctx.drawImage(glCanvas, 0, 0);
+        ctx.restore();
+        return true;
+    }
+
+    /**
+     * True if the GPU path is enabled and a WebGL context can be created
+     */
+    function isAvailable() {
+        return setup();
+    }
+
+    const gpu = PsycheOS.gpu = {
+        enabled: true, // Set to false to force the 2D canvas path
+        registerShader,
+        apply,
+        isAvailable
+    };
+
+})(self);
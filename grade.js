@@ -0,0 +1,182 @@
+// Psyche.OS color grading
+// Bakes an archetype's CSS-style grade (e.g. 'grayscale(0.9) contrast(1.8)')
+// into the canvas pixels, so screenshots and recordings match the live view.
+// Uses the 2D context's own `filter` where supported and a per-pixel
+// fallback (following the CSS Filter Effects formulas) everywhere else.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+    const { createCanvas } = PsycheOS; // registry.js
+
+    // Luminance weights used by the CSS filter matrices
+    const LR = 0.2126, LG = 0.7152, LB = 0.0722;
+
+    let scratch = null;     // Reused copy of the frame for the ctx.filter path
+    const parsed = {};      // grade string -> parsed steps (fallback path)
+
+    /**
+     * Parses a CSS filter string into a list of { fn, amount } steps.
+     * Unknown functions are skipped with a warning.
+     */
+    function parseGrade(grade) {
+        const steps = [];
+        if (!grade || grade === 'none') return steps;
+
+        const pattern = /([a-z-]+)\(\s*([-\d.]+)(%|deg|turn|rad)?\s*\)/gi;
+        let match;
+        while ((match = pattern.exec(grade)) !== null) {
+            const fn = match[1].toLowerCase();
+            let amount = parseFloat(match[2]);
+            const unit = match[3];
+
+            if (unit === '%') amount /= 100;
+            if (fn === 'hue-rotate') {
+                if (unit === 'turn') amount *= 360;
+                if (unit === 'rad') amount *= 180 / Math.PI;
+            }
+
+            if (!(fn in STEP_BUILDERS)) {
+                console.warn(`Unsupported grade function "${fn}" ignored.`);
+                continue;
+            }
+            steps.push({ fn, amount });
+        }
+        return steps;
+    }
+
+    // --- Per-step color transforms (CSS Filter Effects spec) ---
+    // Each builder returns (r, g, b) -> [r, g, b] on the 0-1 scale.
+
+    function matrixStep(m) {
+        return (r, g, b) => [
+            m[0] * r + m[1] * g + m[2] * b,
+            m[3] * r + m[4] * g + m[5] * b,
+            m[6] * r + m[7] * g + m[8] * b
+        ];
+    }
+
+    const STEP_BUILDERS = {
+        grayscale(a) {
+            const s = 1 - Math.min(1, a);
+            return matrixStep([
+                LR + (1 - LR) * s, LG - LG * s,       LB - LB * s,
+                LR - LR * s,       LG + (1 - LG) * s, LB - LB * s,
+                LR - LR * s,       LG - LG * s,       LB + (1 - LB) * s
+            ]);
+        },
+        sepia(a) {
+            const s = 1 - Math.min(1, a);
+            return matrixStep([
+                0.393 + 0.607 * s, 0.769 - 0.769 * s, 0.189 - 0.189 * s,
+                0.349 - 0.349 * s, 0.686 + 0.314 * s, 0.168 - 0.168 * s,
+                0.272 - 0.272 * s, 0.534 - 0.534 * s, 0.131 + 0.869 * s
+            ]);
+        },
+        saturate(s) {
+            return matrixStep([
+                0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+                0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+                0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+            ]);
+        },
+        'hue-rotate'(deg) {
+            const rad = deg * Math.PI / 180;
+            const cos = Math.cos(rad);
+            const sin = Math.sin(rad);
+            return matrixStep([
+                0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+                0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+                0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+            ]);
+        },
+        brightness(b) {
+            return (r, g, bl) => [r * b, g * b, bl * b];
+        },
+        contrast(c) {
+            const offset = 0.5 - 0.5 * c;
+            return (r, g, b) => [r * c + offset, g * c + offset, b * c + offset];
+        },
+        invert(a) {
+            const amount = Math.min(1, a);
+            return (r, g, b) => [
+                amount + r * (1 - 2 * amount),
+                amount + g * (1 - 2 * amount),
+                amount + b * (1 - 2 * amount)
+            ];
+        }
+    };
+
+    function clamp01(v) {
+        return v < 0 ? 0 : (v > 1 ? 1 : v);
+    }
+
+    /**
+     * Grades pixels in place. CSS clamps to [0, 1] between filter
+     * primitives, so every step's output is clamped too.
+     */
+    function gradePixels(data, steps) {
+        if (!steps.length) return;
+
+        const fns = steps.map(step => STEP_BUILDERS[step.fn](step.amount));
+        for (let i = 0; i < data.length; i += 4) {
+            let r = data[i] / 255;
+            let g = data[i + 1] / 255;
+            let b = data[i + 2] / 255;
+            for (let s = 0; s < fns.length; s++) {
+                const out = fns[s](r, g, b);
+                r = clamp01(out[0]);
+                g = clamp01(out[1]);
+                b = clamp01(out[2]);
+            }
+            data[i] = r * 255;
+            data[i + 1] = g * 255;
+            data[i + 2] = b * 255;
+        }
+    }
+
+    /**
+     * Applies a CSS-style grade to everything currently on ctx.canvas
+     */
+    function applyGrade(ctx, grade) {
+        if (!grade || grade === 'none') return;
+
+        const canvas = ctx.canvas;
+        const width = canvas.width;
+        const height = canvas.height;
+
+        if (typeof ctx.filter === 'string') {
+            // Native path: redraw a copy of the frame through ctx.filter
+            if (!scratch || scratch.width !== width || scratch.height !== height) {
+                scratch = createCanvas(width, height);
+            }
+            const scratchCtx = scratch.getContext('2d');
+            scratchCtx.globalCompositeOperation = 'copy';
+            scratchCtx.drawImage(canvas, 0, 0);
+
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalCompositeOperation = 'copy';
+            ctx.globalAlpha = 1;
+            ctx.filter = grade;
+            ctx.drawImage(scratch, 0, 0);
+            ctx.restore();
+            return;
+        }
+
+        // Fallback: grade the pixels by hand
+        const imageData = ctx.getImageData(0, 0, width, height);
+        if (!(grade in parsed)) {
+            parsed[grade] = parseGrade(grade);
+        }
+        gradePixels(imageData.data, parsed[grade]);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    PsycheOS.grade = {
+        functions: Object.keys(STEP_BUILDERS),
+        parse: parseGrade,
+        gradePixels,
+        apply: applyGrade
+    };
+
+})(self);
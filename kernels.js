@@ -0,0 +1,168 @@
+// Psyche.OS pixel kernels
+// The per-pixel operations behind the archetypes, as pure functions over
+// ImageData-like { width, height, data } buffers (data is RGBA, 0-255).
+// They never touch a canvas, so they run the same in the page, the render
+// worker and Node (see test/).
+//
+// Each kernel is kernel(src, options, dst) and returns dst. dst defaults
+// to a new image and may be src itself to work in place.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    /**
+     * A blank (transparent black) image
+     */
+    function createImage(width, height) {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    /**
+     * Perceived brightness (0-255) with the Rec. 601 weights the shaders use
+     */
+    function luma(r, g, b) {
+        return r * 0.299 + g * 0.587 + b * 0.114;
+    }
+
+    /**
+     * '#rrggbb' -> [r, g, b] (0-255)
+     */
+    function hexToRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    /**
+     * Negative image; amount (0-1, default 1) blends towards it
+     */
+    function invert(src, options = {}, dst = createImage(src.width, src.height)) {
+        const amount = options.amount === undefined ? 1 : options.amount;
+        const s = src.data;
+        const d = dst.data;
+        for (let i = 0; i < s.length; i += 4) {
+            d[i] = s[i] + (255 - 2 * s[i]) * amount;
+            d[i + 1] = s[i + 1] + (255 - 2 * s[i + 1]) * amount;
+            d[i + 2] = s[i + 2] + (255 - 2 * s[i + 2]) * amount;
+            d[i + 3] = s[i + 3];
+        }
+        return dst;
+    }
+
+    /**
+     * Trickster's red-black duotone: pixels at or below shadowThreshold
+     * (luma, 0-255) go black, the rest passionColor scaled by
+     * luma * passionFactor
+     *   options  { shadowThreshold, passionFactor, passionColor: [r, g, b] }
+     */
+    function redscale(src, options, dst = createImage(src.width, src.height)) {
+        const { shadowThreshold, passionFactor, passionColor } = options;
+        const s = src.data;
+        const d = dst.data;
+        for (let i = 0; i < s.length; i += 4) {
+            const luminance = luma(s[i], s[i + 1], s[i + 2]);
+            if (luminance <= shadowThreshold) {
+                d[i] = 0;
+                d[i + 1] = 0;
+                d[i + 2] = 0;
+            } else {
+                const passion = Math.min(255, luminance * passionFactor) / 255;
+                d[i] = passionColor[0] * passion;
+                d[i + 1] = passionColor[1] * passion;
+                d[i + 2] = passionColor[2] * passion;
+            }
+            d[i + 3] = s[i + 3];
+        }
+        return dst;
+    }
+
+    /**
+     * Two-color threshold: pixels at or below threshold (luma, 0-255) take
+     * dark, the rest light
+     *   options  { threshold, dark: [r, g, b], light: [r, g, b] }
+     */
+    function duotone(src, options, dst = createImage(src.width, src.height)) {
+        const { threshold, dark, light } = options;
+        const s = src.data;
+        const d = dst.data;
+        for (let i = 0; i < s.length; i += 4) {
+            const color = luma(s[i], s[i + 1], s[i + 2]) <= threshold ? dark : light;
+            d[i] = color[0];
+            d[i + 1] = color[1];
+            d[i + 2] = color[2];
+            d[i + 3] = s[i + 3];
+        }
+        return dst;
+    }
+
+    /**
+     * Laplacian edge detection: pixels whose 4-neighbour Laplacian exceeds
+     * threshold take edgeColor, the rest backgroundColor (all opaque).
+     * Neighbours are clamped at the borders, like the shader's CLAMP_TO_EDGE
+     * texture, so the outermost rows and columns are filled in too.
+     *   options  { threshold, edgeColor: [r, g, b], backgroundColor: [r, g, b] }
+     */
+    function laplacianEdges(src, options, dst = createImage(src.width, src.height)) {
+        const { threshold, edgeColor, backgroundColor } = options;
+        const width = src.width;
+        const height = src.height;
+        const s = src.data;
+
+        // Read everything before writing, so dst may be src
+        const gray = new Float32Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = luma(s[i * 4], s[i * 4 + 1], s[i * 4 + 2]);
+        }
+
+        const d = dst.data;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const val = 4 * gray[i]
+                            - gray[x > 0 ? i - 1 : i]               // Left
+                            - gray[x < width - 1 ? i + 1 : i]       // Right
+                            - gray[y > 0 ? i - width : i]           // Top
+                            - gray[y < height - 1 ? i + width : i]; // Bottom
+
+                const color = Math.abs(val) > threshold ? edgeColor : backgroundColor;
+                d[i * 4] = color[0];
+                d[i * 4 + 1] = color[1];
+                d[i * 4 + 2] = color[2];
+                d[i * 4 + 3] = 255;
+            }
+        }
+        return dst;
+    }
+
+    /**
+     * Seeded stand-in for Math.random (mulberry32): returns a function
+     * giving the same [0, 1) sequence for the same seed
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    const kernels = {
+        createImage,
+        luma,
+        hexToRgb,
+        invert,
+        redscale,
+        duotone,
+        laplacianEdges,
+        createRandom
+    };
+    PsycheOS.kernels = kernels;
+
+    // Node: require('./kernels.js')
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = kernels;
+    }
+
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,274 @@
+// Psyche.OS LUT color grading
+// Parses Adobe/Resolve .cube lookup tables (1D and 3D) and applies them to
+// the canvas: as a WebGL shader where available (the 3D table is packed into
+// a 2D texture of blue slices) and with a trilinear per-pixel loop otherwise.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    const MAX_1D_SIZE = 65536;
+    const MAX_3D_SIZE = 256;
+    const GPU_MAX_TEXTURE = 4096; // Texture size every WebGL device can be expected to take
+
+    /**
+     * Parses the text of a .cube file into
+     *   { title, dimension: 1|3, size, domainMin, domainMax, data }
+     * where data holds size (1D) or size^3 (3D) RGB triples as floats, red
+     * varying fastest. Throws a SyntaxError naming the offending line.
+     */
+    function parseCube(text) {
+        const lut = { title: '', dimension: 0, size: 0, domainMin: [0, 0, 0], domainMax: [1, 1, 1], data: null };
+        const values = [];
+
+        const lines = String(text).split(/\r?\n/);
+        lines.forEach((raw, index) => {
+            const line = raw.trim();
+            if (!line || line[0] === '#') return;
+            const fail = (message) => {
+                throw new SyntaxError(`line ${index + 1}: ${message}`);
+            };
+
+            // Table rows are by far the most common lines
+            if (/^[-+.\d]/.test(line)) {
+                const row = line.split(/\s+/).map(Number);
+                if (row.length !== 3 || row.some(v => !isFinite(v))) fail("expected three numbers");
+                values.push(row[0], row[1], row[2]);
+                return;
+            }
+
+            const [keyword, ...args] = line.split(/\s+/);
+            switch (keyword.toUpperCase()) {
+                case 'TITLE':
+                    lut.title = line.slice(keyword.length).trim().replace(/^"|"$/g, '');
+                    break;
+                case 'LUT_1D_SIZE':
+                case 'LUT_3D_SIZE': {
+                    const dimension = keyword[4] === '1' ? 1 : 3;
+                    const size = Number(args[0]);
+                    const max = dimension === 1 ? MAX_1D_SIZE : MAX_3D_SIZE;
+                    if (lut.dimension) fail("more than one LUT size given");
+                    if (!Number.isInteger(size) || size < 2 || size > max) {
+                        fail(`${keyword} must be a whole number from 2 to ${max}`);
+                    }
+                    lut.dimension = dimension;
+                    lut.size = size;
+                    break;
+                }
+                case 'DOMAIN_MIN':
+                case 'DOMAIN_MAX': {
+                    const domain = args.map(Number);
+                    if (domain.length !== 3 || domain.some(v => !isFinite(v))) fail(`${keyword} needs three numbers`);
+                    lut[keyword === 'DOMAIN_MIN' ? 'domainMin' : 'domainMax'] = domain;
+                    break;
+                }
+                case 'LUT_1D_INPUT_RANGE':
+                case 'LUT_3D_INPUT_RANGE': {
+                    // Resolve's variant of DOMAIN_MIN/MAX (same range for all channels)
+                    const range = args.map(Number);
+                    if (range.length !== 2 || range.some(v => !isFinite(v))) fail(`${keyword} needs two numbers`);
+                    lut.domainMin = [range[0], range[0], range[0]];
+                    lut.domainMax = [range[1], range[1], range[1]];
+                    break;
+                }
+                default:
+                    fail(`unknown keyword "${keyword}"`);
+            }
+        });
+
+        if (!lut.dimension) {
+            throw new SyntaxError("no LUT_1D_SIZE or LUT_3D_SIZE given");
+        }
+        const expected = lut.dimension === 1 ? lut.size : lut.size * lut.size * lut.size;
+        if (values.length !== expected * 3) {
+            throw new SyntaxError(`expected ${expected} table rows, found ${values.length / 3}`);
+        }
+        if ([0, 1, 2].some(c => lut.domainMin[c] >= lut.domainMax[c])) {
+            throw new SyntaxError("DOMAIN_MIN must be below DOMAIN_MAX");
+        }
+
+        lut.data = new Float32Array(values);
+        return lut;
+    }
+
+    // --- GPU Shaders ---
+    // 3D tables are stored as a grid of size x size tiles, one per blue
+    // level; red and green interpolate inside a tile (linear filtering),
+    // blue between two neighbouring tiles.
+
+    PsycheOS.gpu.registerShader('lut-3d', `
+        uniform sampler2D u_lut;
+        uniform float u_size;
+        uniform vec2 u_tiles;
+        uniform vec3 u_domainMin;
+        uniform vec3 u_domainMax;
+        uniform float u_intensity;
+
+        highp vec2 tileCoord(highp float b, highp vec2 rg) {
+            highp float row = floor((b + 0.5) / u_tiles.x);
+            highp vec2 tile = vec2(b - row * u_tiles.x, row);
+            return (tile * u_size + rg + 0.5) / (u_tiles * u_size);
+        }
+
+        void main() {
+            vec4 color = texture2D(u_image, v_texCoord);
+            highp vec3 c = clamp((color.rgb - u_domainMin) / (u_domainMax - u_domainMin), 0.0, 1.0) * (u_size - 1.0);
+            highp float b0 = floor(c.b);
+            highp float b1 = min(b0 + 1.0, u_size - 1.0);
+            vec3 low = texture2D(u_lut, tileCoord(b0, c.rg)).rgb;
+            vec3 high = texture2D(u_lut, tileCoord(b1, c.rg)).rgb;
+            vec3 graded = mix(low, high, c.b - b0);
+            gl_FragColor = vec4(mix(color.rgb, graded, u_intensity), color.a);
+        }
+    `);
+
+    PsycheOS.gpu.registerShader('lut-1d', `
+        uniform sampler2D u_lut;
+        uniform float u_size;
+        uniform vec3 u_domainMin;
+        uniform vec3 u_domainMax;
+        uniform float u_intensity;
+        void main() {
+            vec4 color = texture2D(u_image, v_texCoord);
+            highp vec3 x = (clamp((color.rgb - u_domainMin) / (u_domainMax - u_domainMin), 0.0, 1.0) * (u_size - 1.0) + 0.5) / u_size;
+            vec3 graded = vec3(
+                texture2D(u_lut, vec2(x.r, 0.5)).r,
+                texture2D(u_lut, vec2(x.g, 0.5)).g,
+                texture2D(u_lut, vec2(x.b, 0.5)).b
+            );
+            gl_FragColor = vec4(mix(color.rgb, graded, u_intensity), color.a);
+        }
+    `);
+
+    /**
+     * Packs a parsed LUT into RGBA bytes for the shaders (cached on the LUT)
+     */
+    function lutTexture(lut) {
+        if (lut.texture) return lut.texture;
+
+        const size = lut.size;
+        const columns = lut.dimension === 3 ? Math.ceil(Math.sqrt(size)) : 1;
+        const rows = lut.dimension === 3 ? Math.ceil(size / columns) : 1;
+        const width = lut.dimension === 3 ? columns * size : size;
+        const height = lut.dimension === 3 ? rows * size : 1;
+        const data = new Uint8Array(width * height * 4);
+
+        const count = lut.data.length / 3;
+        for (let i = 0; i < count; i++) {
+            let pixel = i;
+            if (lut.dimension === 3) {
+                const r = i % size;
+                const g = Math.floor(i / size) % size;
+                const b = Math.floor(i / (size * size));
+                const x = (b % columns) * size + r;
+                const y = Math.floor(b / columns) * size + g;
+                pixel = y * width + x;
+            }
+            data[pixel * 4] = toByte(lut.data[i * 3]);
+            data[pixel * 4 + 1] = toByte(lut.data[i * 3 + 1]);
+            data[pixel * 4 + 2] = toByte(lut.data[i * 3 + 2]);
+            data[pixel * 4 + 3] = 255;
+        }
+
+        lut.texture = { data, width, height, tiles: [columns, rows] };
+        return lut.texture;
+    }
+
+    function toByte(value) {
+        return Math.round(Math.min(1, Math.max(0, value)) * 255);
+    }
+
+    // --- CPU Fallback ---
+
+    /**
+     * Grades RGBA pixels in place, blending intensity (0-1) of the way
+     * from the original to the looked-up color
+     */
+    function lutPixels(data, lut, intensity) {
+        const table = lut.data;
+        const size = lut.size;
+        const max = size - 1;
+        const min = lut.domainMin;
+        const range = [0, 1, 2].map(c => lut.domainMax[c] - min[c]);
+        const input = [0, 0, 0];
+        const out = [0, 0, 0];
+
+        for (let i = 0; i < data.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                const v = (data[i + c] / 255 - min[c]) / range[c];
+                input[c] = (v < 0 ? 0 : (v > 1 ? 1 : v)) * max;
+            }
+
+            if (lut.dimension === 1) {
+                for (let c = 0; c < 3; c++) {
+                    const i0 = Math.floor(input[c]);
+                    const i1 = Math.min(i0 + 1, max);
+                    const f = input[c] - i0;
+                    out[c] = table[i0 * 3 + c] * (1 - f) + table[i1 * 3 + c] * f;
+                }
+            } else {
+                trilinear(table, size, input[0], input[1], input[2], out);
+            }
+
+            for (let c = 0; c < 3; c++) {
+                data[i + c] += (out[c] * 255 - data[i + c]) * intensity;
+            }
+        }
+    }
+
+    /**
+     * Interpolates a 3D table at (r, g, b), given in table steps, into out
+     */
+    function trilinear(table, size, r, g, b, out) {
+        const max = size - 1;
+        const r0 = Math.floor(r), g0 = Math.floor(g), b0 = Math.floor(b);
+        const r1 = Math.min(r0 + 1, max), g1 = Math.min(g0 + 1, max), b1 = Math.min(b0 + 1, max);
+        const fr = r - r0, fg = g - g0, fb = b - b0;
+        const row = size * 3, slice = size * size * 3;
+
+        // Offsets of the eight surrounding table entries
+        const i000 = r0 * 3 + g0 * row + b0 * slice, i100 = r1 * 3 + g0 * row + b0 * slice;
+        const i010 = r0 * 3 + g1 * row + b0 * slice, i110 = r1 * 3 + g1 * row + b0 * slice;
+        const i001 = r0 * 3 + g0 * row + b1 * slice, i101 = r1 * 3 + g0 * row + b1 * slice;
+        const i011 = r0 * 3 + g1 * row + b1 * slice, i111 = r1 * 3 + g1 * row + b1 * slice;
+
+        for (let c = 0; c < 3; c++) {
+            const c00 = table[i000 + c] * (1 - fr) + table[i100 + c] * fr;
+            const c10 = table[i010 + c] * (1 - fr) + table[i110 + c] * fr;
+            const c01 = table[i001 + c] * (1 - fr) + table[i101 + c] * fr;
+            const c11 = table[i011 + c] * (1 - fr) + table[i111 + c] * fr;
+            const c0 = c00 * (1 - fg) + c10 * fg;
+            const c1 = c01 * (1 - fg) + c11 * fg;
+            out[c] = c0 * (1 - fb) + c1 * fb;
+        }
+    }
+
+    /**
+     * Applies a parsed LUT to everything currently on ctx.canvas
+     */
+    function applyLut(ctx, lut, intensity = 1) {
+        if (!lut || intensity <= 0) return;
+
+        const texture = lutTexture(lut);
+        const fits = texture.width <= GPU_MAX_TEXTURE && texture.height <= GPU_MAX_TEXTURE;
+        if (fits && PsycheOS.gpu.apply(ctx, lut.dimension === 3 ? 'lut-3d' : 'lut-1d', {
+            u_size: lut.size,
+            u_tiles: texture.tiles,
+            u_domainMin: lut.domainMin,
+            u_domainMax: lut.domainMax,
+            u_intensity: Math.min(1, intensity)
+        }, { u_lut: texture })) return;
+
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        const imageData = ctx.getImageData(0, 0, width, height);
+        lutPixels(imageData.data, lut, Math.min(1, intensity));
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    PsycheOS.lut = {
+        parse: parseCube,
+        lutPixels,
+        apply: applyLut
+    };
+
+})(self);
@@ -0,0 +1,144 @@
+// Psyche.OS modulation sources
+// Measures how much the person in front of the mirror moves (frame
+// difference) and how loud the room is (microphone), as 0-1 levels that
+// archetypes read from frame.modulation. Main thread only: the analysis
+// needs the live video element and Web Audio.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+    const { createCanvas } = PsycheOS; // registry.js
+
+    const MOTION_WIDTH = 64;    // Frames are compared at this tiny size
+    const MOTION_HEIGHT = 48;
+    const MOTION_NOISE = 6;     // Per-pixel luma change (0-255) treated as sensor noise
+    const ATTACK = 0.5;         // Smoothing when a level rises (fast) ...
+    const RELEASE = 0.08;       // ... and when it falls (slow), so effects decay
+
+    /**
+     * Eases a level towards a target, reacting faster to rises than falls
+     */
+    function smooth(level, target) {
+        return level + (target - level) * (target > level ? ATTACK : RELEASE);
+    }
+
+    /**
+     * Frame-difference motion energy. measure(source) compares the source
+     * with the previous call and returns the smoothed level, where 1 means
+     * most of the picture changed. sensitivity scales the raw energy.
+     * The render loop runs faster than most cameras deliver frames, so a
+     * video that hasn't advanced since the last call keeps the level as is
+     * instead of reading as stillness.
+     */
+    function createMotionMeter() {
+        const canvas = createCanvas(MOTION_WIDTH, MOTION_HEIGHT);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        let previous = null;
+        let level = 0;
+        let lastFrame = null;
+        let watched = null;   // Video counted through requestVideoFrameCallback
+        let presented = 0;    // Frames it has presented since
+
+        /**
+         * Something that changes with each new video frame, or null when
+         * the source can't tell (canvases and images are measured every call)
+         */
+        function frameKey(source) {
+            if (typeof source.requestVideoFrameCallback === 'function') {
+                if (watched !== source) {
+                    watched = source;
+                    presented = 0;
+                    const onFrame = () => {
+                        if (watched !== source) return;
+                        presented++;
+                        source.requestVideoFrameCallback(onFrame);
+                    };
+                    source.requestVideoFrameCallback(onFrame);
+                }
+                return presented;
+            }
+            return typeof source.currentTime === 'number' ? source.currentTime : null;
+        }
+
+        return {
+            sensitivity: 1,
+            measure(source) {
+                const frame = frameKey(source);
+                if (previous && frame !== null && frame === lastFrame) return level;
+                lastFrame = frame;
+
+                ctx.drawImage(source, 0, 0, MOTION_WIDTH, MOTION_HEIGHT);
+                const data = ctx.getImageData(0, 0, MOTION_WIDTH, MOTION_HEIGHT).data;
+
+                const luma = new Uint8Array(MOTION_WIDTH * MOTION_HEIGHT);
+                let energy = 0;
+                for (let i = 0; i < luma.length; i++) {
+                    luma[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+                    if (previous) {
+                        const diff = Math.abs(luma[i] - previous[i]);
+                        if (diff > MOTION_NOISE) energy += diff;
+                    }
+                }
+                previous = luma;
+
+                // A quarter of the pixels changing by half their range counts as full motion
+                const raw = energy / (luma.length * 0.25 * 128);
+                level = smooth(level, Math.min(1, raw * this.sensitivity));
+                return level;
+            },
+            reset() {
+                previous = null;
+                level = 0;
+                lastFrame = null;
+            },
+            get level() { return level; }
+        };
+    }
+
+    /**
+     * Microphone loudness (RMS). Asks for the microphone, so it resolves
+     * with { measure(), stop(), sensitivity, level } or rejects with a
+     * PsycheError ('microphone-failed').
+     */
+    async function createAudioMeter() {
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+        } catch (err) {
+            throw new PsycheOS.errors.PsycheError('microphone-failed', null, err);
+        }
+
+        const AudioContextClass = root.AudioContext || root.webkitAudioContext;
+        const audioContext = new AudioContextClass();
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        audioContext.createMediaStreamSource(stream).connect(analyser);
+        const samples = new Float32Array(analyser.fftSize);
+        let level = 0;
+
+        return {
+            sensitivity: 1,
+            measure() {
+                analyser.getFloatTimeDomainData(samples);
+                let sum = 0;
+                for (let i = 0; i < samples.length; i++) {
+                    sum += samples[i] * samples[i];
+                }
+                // Speech is around 0.05-0.1 RMS; a shout or clap reaches ~0.3
+                const rms = Math.sqrt(sum / samples.length);
+                level = smooth(level, Math.min(1, rms * 4 * this.sensitivity));
+                return level;
+            },
+            stop() {
+                stream.getTracks().forEach(track => track.stop());
+                audioContext.close();
+            },
+            get level() { return level; }
+        };
+    }
+
+    PsycheOS.modulation = {
+        createMotionMeter,
+        createAudioMeter
+    };
+
+})(self);
@@ -0,0 +1,159 @@
+// Psyche.OS performance tracking
+// Rolling per-stage frame timings for the HUD, and an adaptive quality
+// controller that trades processing resolution (then frame rate) for speed
+// when frames run over budget, and gives it back when there is headroom.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    // Pipeline stages reported by pipeline.render() (ms per frame)
+    const STAGES = ['dynamic', 'draw', 'lut', 'overlay', 'grade', 'total'];
+
+    // Longer gaps between frames (hidden tab, source switch) aren't counted
+    const MAX_FRAME_INTERVAL = 1000; // ms
+
+    // Quality levels from best to cheapest. Resolution goes first since it
+    // cuts the per-pixel work of heavy filters (e.g. Anima's edge pass).
+    const QUALITY_LEVELS = [
+        { scale: 1, frameSkip: 1 },
+        { scale: 0.75, frameSkip: 1 },
+        { scale: 0.5, frameSkip: 1 },
+        { scale: 0.35, frameSkip: 1 },
+        { scale: 0.35, frameSkip: 2 },
+        { scale: 0.35, frameSkip: 3 }
+    ];
+
+    /**
+     * Smoothed stage timings, the smoothed time between rendered frames and
+     * an FPS counter. On the WebGL path the lut and overlay timings only
+     * cover submitting shader work; the frame interval also includes the
+     * GPU catching up.
+     */
+    function createFrameStats(smoothing = 0.1) {
+        const averages = {};
+        let frames = 0;
+        let fps = 0;
+        let windowStart = 0;
+        let windowFrames = 0;
+        let lastFrame = 0;
+        let interval = 0;
+
+        return {
+            /**
+             * Records one rendered frame's timings
+             */
+            add(timings, now) {
+                frames++;
+                windowFrames++;
+                const gap = lastFrame ? now - lastFrame : 0;
+                if (gap > 0 && gap <= MAX_FRAME_INTERVAL) {
+                    interval = interval ? interval + (gap - interval) * smoothing : gap;
+                }
+                lastFrame = now;
+                STAGES.forEach(stage => {
+                    const value = timings[stage] || 0;
+                    averages[stage] = stage in averages
+                        ? averages[stage] + (value - averages[stage]) * smoothing
+                        : value;
+                });
+
+                // Recount FPS every half second
+                if (!windowStart) windowStart = now;
+                if (now - windowStart >= 500) {
+                    fps = windowFrames * 1000 / (now - windowStart);
+                    windowStart = now;
+                    windowFrames = 0;
+                }
+            },
+            get averages() { return averages; },
+            get interval() { return interval; },
+            get frames() { return frames; },
+            get fps() { return fps; }
+        };
+    }
+
+    /**
+     * Picks a quality level from the smoothed frame time.
+     *   options  { budget (ms per rendered frame, default 30 fps),
+     *              downAfter, upAfter (ms the condition must hold) }
+     * update(frameMs, now, intervalMs) takes the summed stage time and the
+     * measured time between rendered frames (defaults to frameMs). Going
+     * over budget in either steps down, so GPU work the stage timings miss
+     * still counts; stepping up needs headroom in both. Returns true when
+     * the level changed.
+     */
+    function createQualityController(options = {}) {
+        const budget = options.budget || 1000 / 30;
+        const downAfter = options.downAfter || 1000;
+        const upAfter = options.upAfter || 3000;
+
+        let level = 0;
+        let overSince = null;
+        let underSince = null;
+
+        /**
+         * Expected frame time at another level: cost follows the pixel count
+         */
+        function predict(frameMs, from, to) {
+            const ratio = QUALITY_LEVELS[to].scale / QUALITY_LEVELS[from].scale;
+            return frameMs * ratio * ratio;
+        }
+
+        function setLevel(next) {
+            level = next;
+            overSince = null;
+            underSince = null;
+        }
+
+        return {
+            enabled: true,
+            update(frameMs, now, intervalMs = frameMs) {
+                if (!this.enabled) return false;
+
+                // Skipping frames gives each rendered frame more time
+                const current = QUALITY_LEVELS[level];
+                const allowed = budget * current.frameSkip;
+
+                if (Math.max(frameMs, intervalMs) > allowed) {
+                    underSince = null;
+                    if (overSince === null) overSince = now;
+                    if (now - overSince >= downAfter && level < QUALITY_LEVELS.length - 1) {
+                        setLevel(level + 1);
+                        return true;
+                    }
+                } else if (level > 0 && intervalMs < allowed * 0.8 &&
+                           predict(frameMs, level, level - 1) < budget * QUALITY_LEVELS[level - 1].frameSkip * 0.8) {
+                    // Only step up if the better level would still fit (with
+                    // some margin), otherwise we'd bounce between two levels.
+                    // The interval can't be predicted (it has a display-rate
+                    // floor), so it just has to show headroom now.
+                    overSince = null;
+                    if (underSince === null) underSince = now;
+                    if (now - underSince >= upAfter) {
+                        setLevel(level - 1);
+                        return true;
+                    }
+                } else {
+                    overSince = null;
+                    underSince = null;
+                }
+                return false;
+            },
+            reset() {
+                setLevel(0);
+            },
+            get level() { return level; },
+            get scale() { return QUALITY_LEVELS[level].scale; },
+            get frameSkip() { return QUALITY_LEVELS[level].frameSkip; },
+            get budget() { return budget; }
+        };
+    }
+
+    PsycheOS.perf = {
+        STAGES,
+        QUALITY_LEVELS,
+        createFrameStats,
+        createQualityController
+    };
+
+})(self);
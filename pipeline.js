@@ -0,0 +1,536 @@
+// Psyche.OS frame pipeline
+// video frame -> dynamic filter -> LUT -> overlay filter -> color grade
+// (-> more layers), drawn onto a canvas, optionally as a comparison view.
+// Shared by the main thread (render-host.js) and the render worker
+// (render-worker.js), so it must not touch the DOM.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+    const { createCanvas } = PsycheOS; // registry.js
+
+    // Canvas composite modes a layer can be blended with
+    const BLEND_MODES = [
+        'source-over', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+        'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference',
+        'exclusion', 'hue', 'saturation', 'color', 'luminosity', 'lighter'
+    ];
+
+    // Comparison views (state.compare.mode)
+    const COMPARE_MODES = ['split', 'grid'];
+
+    // Handed to archetypes when nothing is measuring movement or sound
+    const NO_MODULATION = Object.freeze({ motion: 0, audio: 0 });
+
+    /**
+     * Creates a pipeline bound to an HTMLCanvasElement or OffscreenCanvas.
+     *
+     * render(source, state) draws one frame, where source is anything
+     * drawImage accepts (video, ImageBitmap, VideoFrame, canvas) and state is
+     * a plain object:
+     *   { filterId, layers, params, width, height, time, recording, transition,
+     *     reducedMotion, lutIntensity, modulation, random, compare }
+     * where layers is an optional list of { filterId, opacity, blend } run
+     * on top of the base archetype, in order (blend is a canvas composite
+     * mode), params maps archetype ids to user-tweaked parameter values,
+     * recording is null or { elapsed, duration } in ms (draws the on-canvas
+     * timer, so it shows up in the recording itself) and transition is null
+     * or { fromId, style, progress } while blending out of another archetype.
+     * reducedMotion asks archetypes (and transitions) to leave out flicker.
+     * lutIntensity (0-1, default 1) blends in each archetype's LUT, set with
+     * setLut(archId, lut) where lut is a parsed .cube file (see lut.js).
+     * modulation is { motion, audio } (0-1 levels, see modulation.js) and is
+     * handed on to the archetypes as frame.modulation. random optionally
+     * replaces Math.random as frame.random (tests seed it; the app never
+     * sets it, since functions can't be posted to the render worker).
+     * compare is null or a comparison view: { mode: 'split', position }
+     * shows the raw source left of position (0-1 across) and the look right
+     * of it; { mode: 'grid' } shows every registered archetype side by side
+     * (see gridLayout), labelled with its name and the icon set with
+     * setIcon(archId, image).
+     *
+     * The canvas ends up holding exactly what is shown on screen (no CSS
+     * filters or flips on top), so screenshots and recordings match it.
+     *
+     * render() returns how long each stage took, in ms:
+     *   { dynamic, draw, lut, overlay, grade, total }
+     * (stages are summed over every archetype drawn: layers, transitions)
+     */
+    function createPipeline(canvas) {
+        const ctx = canvas.getContext('2d');
+        let transitionCanvas = null; // Holds the outgoing archetype during transitions
+        let layerCanvas = null;      // Holds one stacked layer before it's composited
+        let cellCanvas = null;       // Holds one archetype of the comparison grid
+        let timings = null;          // Stage timings of the frame being rendered
+        const luts = {};             // archId -> parsed LUT
+        const icons = {};            // archId -> symbol image for the grid labels
+
+        /**
+         * Builds the per-frame info object handed to archetype hooks
+         */
+        function createFrameInfo(target, arch, source, state) {
+            const overrides = arch && state.params ? state.params[arch.id] : null;
+            return {
+                width: target.canvas.width,
+                height: target.canvas.height,
+                source: source,
+                time: state.time,
+                reducedMotion: !!state.reducedMotion,
+                modulation: state.modulation || NO_MODULATION,
+                random: state.random || Math.random,
+                params: arch ? PsycheOS.resolveParams(arch, overrides) : {}
+            };
+        }
+
+        /**
+         * Applies DYNAMIC (per-frame) canvas effects BEFORE drawing the video
+         */
+        function applyDynamicFilter(target, arch, frame) {
+            // Reset filter to ensure a clean draw for pixel manipulation
+            target.filter = 'none';
+
+            if (arch && arch.pre) {
+                arch.pre(target, frame);
+            }
+        }
+
+        /**
+         * Grades the drawn frame with the archetype's LUT. Runs before the
+         * overlays, which may threshold or replace colors.
+         */
+        function applyLut(target, arch, state) {
+            const lut = arch && luts[arch.id];
+            if (lut) {
+                PsycheOS.lut.apply(target, lut, state.lutIntensity === undefined ? 1 : state.lutIntensity);
+            }
+        }
+
+        /**
+         * Applies STATIC (overlay) canvas effects AFTER drawing the video
+         */
+        function applyOverlayFilter(target, arch, frame) {
+            if (arch && arch.post) {
+                arch.post(target, frame);
+            }
+        }
+
+        /**
+         * Bakes the archetype's base color grade into the finished frame
+         */
+        function applyColorGrade(target, arch) {
+            if (arch) {
+                PsycheOS.grade.apply(target, arch.cssGrade);
+            }
+        }
+
+        /**
+         * Runs one archetype over the source frame onto a target context
+         */
+        function renderArchetype(target, arch, source, state) {
+            const frame = createFrameInfo(target, arch, source, state);
+
+            // Save the default canvas state
+            target.save();
+            try {
+                // --- Core Drawing ---
+                // 1. Clear previous frame
+                target.clearRect(0, 0, frame.width, frame.height);
+
+                // 2. Apply dynamic (per-frame) filter effects
+                let start = performance.now();
+                applyDynamicFilter(target, arch, frame);
+                start = addTiming('dynamic', start);
+
+                // 3. Draw the current video frame onto the canvas
+                target.drawImage(source, 0, 0, frame.width, frame.height);
+                start = addTiming('draw', start);
+
+                // 4. Grade with the archetype's LUT
+                applyLut(target, arch, state);
+                start = addTiming('lut', start);
+
+                // 5. Apply static overlay effects (after drawing the video)
+                applyOverlayFilter(target, arch, frame);
+                addTiming('overlay', start);
+            } finally {
+                // Restore the canvas state to remove any leftover changes
+                target.restore();
+            }
+
+            // 6. Bake in the color grade (what used to be a CSS filter)
+            const start = performance.now();
+            applyColorGrade(target, arch);
+            addTiming('grade', start);
+        }
+
+        /**
+         * Adds the time since start to a stage; returns now for chaining
+         */
+        function addTiming(stage, start) {
+            const now = performance.now();
+            timings[stage] += now - start;
+            return now;
+        }
+
+        /**
+         * Runs the base archetype and then every stacked layer on top of it.
+         * Each layer sees the raw source frame (not the layers below it) and
+         * is composited with its own opacity and blend mode.
+         */
+        function renderStack(target, arch, source, state) {
+            renderArchetype(target, arch, source, state);
+
+            (state.layers || []).forEach(layer => {
+                const layerArch = PsycheOS.getArchetype(layer.filterId);
+                const opacity = Math.min(1, Math.max(0, Number(layer.opacity)));
+                if (!layerArch || !(opacity > 0)) return;
+
+                layerCanvas = matchCanvasSize(layerCanvas);
+                renderArchetype(layerCanvas.getContext('2d'), layerArch, source, state);
+
+                target.save();
+                target.globalAlpha = opacity;
+                target.globalCompositeOperation = BLEND_MODES.includes(layer.blend) ? layer.blend : 'source-over';
+                target.drawImage(layerCanvas, 0, 0);
+                target.restore();
+            });
+        }
+
+        /**
+         * Returns a scratch canvas (created if needed) sized like the output,
+         * or width x height if given
+         */
+        function matchCanvasSize(scratch, width = canvas.width, height = canvas.height) {
+            if (!scratch) {
+                return createCanvas(width, height);
+            }
+            if (scratch.width !== width || scratch.height !== height) {
+                scratch.width = width;
+                scratch.height = height;
+            }
+            return scratch;
+        }
+
+        /**
+         * Renders the outgoing archetype (with the same layers on top)
+         * offscreen and blends it over the incoming one already on the canvas
+         */
+        function applyTransition(from, source, state) {
+            const { progress } = state.transition;
+            // The glitch style flickers, so fall back to a plain crossfade
+            const style = state.reducedMotion && state.transition.style === 'glitch'
+                ? 'crossfade'
+                : state.transition.style;
+
+            transitionCanvas = matchCanvasSize(transitionCanvas);
+            renderStack(transitionCanvas.getContext('2d'), from, source, state);
+
+            const width = canvas.width;
+            const height = canvas.height;
+            const eased = progress * progress * (3 - 2 * progress); // Smoothstep
+
+            ctx.save();
+            switch (style) {
+                case 'wipe': {
+                    // The incoming look sweeps in from the left
+                    const edge = Math.round(width * eased);
+                    if (edge < width) {
+                        ctx.drawImage(transitionCanvas, edge, 0, width - edge, height, edge, 0, width - edge, height);
+                    }
+                    ctx.fillStyle = 'rgba(255, 230, 180, 0.8)';
+                    ctx.fillRect(edge - 1, 0, 2, height);
+                    break;
+                }
+                case 'glitch': {
+                    // Horizontal slices flip between the two looks, jittering
+                    // sideways; fewer outgoing slices as the transition ends
+                    const slices = 24;
+                    const sliceHeight = Math.ceil(height / slices);
+                    for (let i = 0; i < slices; i++) {
+                        if (Math.random() < eased) continue;
+                        const y = i * sliceHeight;
+                        const h = Math.min(sliceHeight, height - y);
+                        const xOffset = (Math.random() - 0.5) * 60 * (1 - eased);
+                        ctx.drawImage(transitionCanvas, 0, y, width, h, xOffset, y, width, h);
+                    }
+                    break;
+                }
+                default: {
+                    // 'crossfade'
+                    ctx.globalAlpha = 1 - eased;
+                    ctx.drawImage(transitionCanvas, 0, 0);
+                }
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Draws the raw source over the canvas left of the split line, so the
+         * look can be compared with the untouched frame
+         */
+        function applySplit(source, position) {
+            const width = canvas.width;
+            const height = canvas.height;
+            const split = Number.isFinite(position) ? Math.min(1, Math.max(0, position)) : 0.5;
+            const edge = Math.round(width * split);
+            const size = Math.max(12, Math.round(height * 0.035));
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(0, 0, edge, height);
+            ctx.clip();
+            ctx.drawImage(source, 0, 0, width, height);
+            ctx.restore();
+
+            ctx.save();
+            // Divider with a round grab handle in the middle
+            ctx.fillStyle = 'rgba(255, 230, 180, 0.9)';
+            ctx.fillRect(edge - 1, 0, 2, height);
+            ctx.beginPath();
+            ctx.arc(edge, height / 2, size, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(edge - size * 0.2, height / 2 - size * 0.4);
+            ctx.lineTo(edge - size * 0.65, height / 2);
+            ctx.lineTo(edge - size * 0.2, height / 2 + size * 0.4);
+            ctx.moveTo(edge + size * 0.2, height / 2 - size * 0.4);
+            ctx.lineTo(edge + size * 0.65, height / 2);
+            ctx.lineTo(edge + size * 0.2, height / 2 + size * 0.4);
+            ctx.fill();
+
+            // "Before" / "After" captions along the bottom
+            ctx.font = `${size}px Georgia, serif`;
+            ctx.textBaseline = 'bottom';
+            ctx.fillStyle = '#fff';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+            ctx.shadowBlur = size * 0.3;
+            if (edge > size * 6) {
+                ctx.textAlign = 'right';
+                ctx.fillText('Before', edge - size, height - size * 0.6);
+            }
+            if (width - edge > size * 6) {
+                ctx.textAlign = 'left';
+                ctx.fillText('After', edge + size, height - size * 0.6);
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Runs every registered archetype over the same source frame, each in
+         * its own grid cell (without layers or transitions), and labels them
+         */
+        function renderGrid(source, state) {
+            const archetypes = PsycheOS.listArchetypes();
+            const cells = gridLayout(archetypes.length, canvas.width, canvas.height);
+
+            ctx.save();
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.restore();
+
+            archetypes.forEach((arch, i) => {
+                const cell = cells[i];
+                if (cell.width < 1 || cell.height < 1) return;
+                cellCanvas = matchCanvasSize(cellCanvas, cell.width, cell.height);
+                renderArchetype(cellCanvas.getContext('2d'), arch, source, state);
+                ctx.drawImage(cellCanvas, cell.x, cell.y);
+                drawGridLabel(arch, cell, arch.id === state.filterId);
+            });
+        }
+
+        /**
+         * Draws an archetype's symbol and name in the bottom-left corner of
+         * its grid cell, and outlines the cell of the active one
+         */
+        function drawGridLabel(arch, cell, active) {
+            const size = Math.max(10, Math.round(cell.height * 0.07));
+            const icon = icons[arch.id];
+            const iconWidth = icon ? size * 1.4 : 0;
+
+            ctx.save();
+            ctx.font = `${size}px Georgia, serif`;
+            ctx.textBaseline = 'middle';
+            const maxTextWidth = Math.max(0, cell.width - iconWidth - size * 2);
+            const textWidth = Math.min(ctx.measureText(arch.name).width, maxTextWidth);
+            const x = cell.x + size * 0.5;
+            const y = cell.y + cell.height - size * 1.3;
+
+            // Backing pill for legibility on bright frames
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.fillRect(x, y - size * 0.8, iconWidth + textWidth + size, size * 1.6);
+
+            if (icon) {
+                ctx.drawImage(icon, x + size * 0.5, y - size * 0.5, size, size);
+            }
+            ctx.fillStyle = '#fff';
+            ctx.fillText(arch.name, x + size * 0.5 + iconWidth, y, maxTextWidth);
+
+            if (active) {
+                ctx.strokeStyle = 'rgba(255, 230, 180, 0.9)';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(cell.x + 1, cell.y + 1, cell.width - 2, cell.height - 2);
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Draws the "● REC 00:03 / 00:10" badge in the top-left corner
+         */
+        function drawRecordingTimer(recording) {
+            const size = Math.max(12, Math.round(canvas.height * 0.04));
+            const label = recording.duration > 0
+                ? `REC ${formatTime(recording.elapsed)} / ${formatTime(recording.duration)}`
+                : `REC ${formatTime(recording.elapsed)}`;
+
+            ctx.save();
+            ctx.font = `${size}px Georgia, serif`;
+            ctx.textBaseline = 'middle';
+            const x = size;
+            const y = size * 1.5;
+            const textWidth = ctx.measureText(label).width;
+
+            // Backing pill for legibility on bright frames
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(x - size * 0.5, y - size * 0.8, textWidth + size * 2.2, size * 1.6);
+
+            // Blinking red dot
+            if (Math.floor(recording.elapsed / 500) % 2 === 0) {
+                ctx.fillStyle = '#e00';
+                ctx.beginPath();
+                ctx.arc(x + size * 0.35, y, size * 0.35, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, x + size * 1.1, y);
+            ctx.restore();
+        }
+
+        function render(source, state) {
+            const start = performance.now();
+            timings = { dynamic: 0, draw: 0, lut: 0, overlay: 0, grade: 0, total: 0 };
+
+            // Follow the source size (the canvas can't be resized from the
+            // main thread once it has been handed to a worker)
+            if (state.width && state.height &&
+                (canvas.width !== state.width || canvas.height !== state.height)) {
+                canvas.width = state.width;
+                canvas.height = state.height;
+            }
+
+            const compare = state.compare && COMPARE_MODES.includes(state.compare.mode)
+                ? state.compare
+                : null;
+
+            if (compare && compare.mode === 'grid') {
+                // 1-6. Every archetype side by side
+                renderGrid(source, state);
+            } else {
+                // 1-6. The active archetype and any layers stacked on it
+                const arch = PsycheOS.getArchetype(state.filterId);
+                renderStack(ctx, arch, source, state);
+
+                // 7. Blend in the previous archetype while transitioning
+                if (state.transition) {
+                    const from = PsycheOS.getArchetype(state.transition.fromId);
+                    if (from && from !== arch) {
+                        applyTransition(from, source, state);
+                    }
+                }
+
+                // 7b. The raw source left of the split line
+                if (compare) {
+                    applySplit(source, compare.position);
+                }
+            }
+
+            // 8. Ungraded overlays
+            if (state.recording) {
+                drawRecordingTimer(state.recording);
+            }
+
+            timings.total = performance.now() - start;
+            return timings;
+        }
+
+        /**
+         * Sets (or with null, removes) the LUT graded into an archetype
+         */
+        function setLut(archId, lut) {
+            if (lut) {
+                luts[archId] = lut;
+            } else {
+                delete luts[archId];
+            }
+        }
+
+        /**
+         * Sets (or with null, removes) the symbol drawn next to an
+         * archetype's name in the comparison grid: anything drawImage
+         * accepts, e.g. an ImageBitmap of its Font Awesome icon
+         */
+        function setIcon(archId, image) {
+            if (image) {
+                icons[archId] = image;
+            } else {
+                delete icons[archId];
+            }
+        }
+
+        return { canvas, render, setLut, setIcon };
+    }
+
+    /**
+     * Lays out count cells with the canvas's aspect ratio over a width x
+     * height canvas, row by row, centered (a short last row included).
+     * Returns [{ x, y, width, height }], in archetype order for the grid.
+     */
+    function gridLayout(count, width, height) {
+        const cols = Math.max(1, Math.ceil(Math.sqrt(count)));
+        const rows = Math.max(1, Math.ceil(count / cols));
+        // rows <= cols, so the columns decide the cell size
+        const cellWidth = Math.floor(width / cols);
+        const cellHeight = Math.floor(height / cols);
+        const top = Math.floor((height - rows * cellHeight) / 2);
+
+        const cells = [];
+        for (let i = 0; i < count; i++) {
+            const row = Math.floor(i / cols);
+            const inRow = Math.min(cols, count - row * cols);
+            const left = Math.floor((width - inRow * cellWidth) / 2);
+            cells.push({
+                x: left + (i % cols) * cellWidth,
+                y: top + row * cellHeight,
+                width: cellWidth,
+                height: cellHeight
+            });
+        }
+        return cells;
+    }
+
+    /**
+     * Copy of a live frame state for a saved still (screenshot, burst,
+     * time-lapse frame): the recording timer only belongs in the live,
+     * recorded stream, not in images taken while a recording runs
+     */
+    function toCaptureState(state) {
+        return Object.assign({}, state, { recording: null });
+    }
+
+    /**
+     * Formats milliseconds as mm:ss
+     */
+    function formatTime(ms) {
+        const total = Math.floor(ms / 1000);
+        const minutes = Math.floor(total / 60);
+        const seconds = total % 60;
+        return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    PsycheOS.createPipeline = createPipeline;
+    PsycheOS.BLEND_MODES = BLEND_MODES;
+    PsycheOS.COMPARE_MODES = COMPARE_MODES;
+    PsycheOS.gridLayout = gridLayout;
+    PsycheOS.toCaptureState = toCaptureState;
+
+})(self);
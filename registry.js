@@ -0,0 +1,178 @@
+// Psyche.OS archetype registry
+// Loaded before app.js so extra archetypes can be shipped as separate script
+// files that simply call PsycheOS.registerArchetype({...}).
+// It is the first script in the page and in the render worker, so it also
+// holds the few helpers every other module may rely on (createCanvas).
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    // --- Registry State ---
+    const archetypes = [];
+    const listeners = [];
+
+    /**
+     * Registers an archetype so the filter buttons, render loop and
+     * randomizer can pick it up. Registering an existing id replaces it.
+     *
+     * @param {Object}   def
+     * @param {string}   def.id          Unique id (used for CSS classes and filenames)
+     * @param {string}   def.name        Display name, e.g. 'The Hero'
+     * @param {string}   def.symbol      Font Awesome classes for the button icon
+     * @param {string}   def.description Text shown in the description box
+     * @param {string}   [def.cssGrade]  CSS filter string for the base color grade, baked
+     *                                   into the finished frame (see grade.js)
+     * @param {string}   [def.lut]       URL of a .cube LUT graded in by default (see lut.js),
+     *                                   relative to the page. Order per frame: pre, video,
+     *                                   LUT, post, then cssGrade over all of it. The LUT
+     *                                   doesn't replace the grade, so ship it neutral to
+     *                                   what the grade does (no tint under a grayscale grade).
+     * @param {Function} [def.pre]       pre(ctx, frame): runs BEFORE the video frame is drawn
+     * @param {Function} [def.post]      post(ctx, frame): runs AFTER the video frame is drawn
+     * @param {Array}    [def.params]    Tunable parameters, each
+     *                                   { id, label, type: 'range'|'color', default, min, max, step }.
+     *                                   Hooks receive the current values as frame.params.
+     *                                   frame.reducedMotion is true when the user asked for
+     *                                   less motion; skip flicker and random jitter then.
+     *                                   frame.modulation is { motion, audio }: 0-1 levels of
+     *                                   movement in front of the mirror and room loudness
+     *                                   (0 while the user has them switched off).
+     *                                   Use frame.random() instead of Math.random() so
+     *                                   tests can swap in a seeded source.
+     * @param {string}   [def.script]    URL of the script defining it; defaults to the
+     *                                   calling <script>. The render worker re-imports this
+     *                                   file, so hooks must not touch the DOM.
+     * @param {Object}   [def.definition] The JSON definition it was built from, if any
+     *                                   (see definitions.js); the render worker is sent
+     *                                   this instead of importing a script.
+     * @returns {Object} The registered archetype
+     */
+    function registerArchetype(def) {
+        if (!def || typeof def.id !== 'string' || !def.id) {
+            throw new TypeError('registerArchetype: an archetype needs a string "id"');
+        }
+        if (!/^[a-z0-9_-]+$/i.test(def.id)) {
+            throw new TypeError(`registerArchetype: invalid id "${def.id}" (use letters, digits, "-" and "_")`);
+        }
+
+        const arch = {
+            id: def.id,
+            name: def.name || def.id,
+            symbol: def.symbol || 'fa-solid fa-circle',
+            description: def.description || '',
+            cssGrade: def.cssGrade || 'none',
+            lut: def.lut || null,
+            pre: typeof def.pre === 'function' ? def.pre : null,
+            post: typeof def.post === 'function' ? def.post : null,
+            params: normalizeParams(def.id, def.params),
+            script: def.script || currentScriptUrl(),
+            definition: def.definition || null
+        };
+        arch.defaults = resolveParams(arch, {});
+
+        const index = archetypes.findIndex(a => a.id === arch.id);
+        if (index === -1) {
+            archetypes.push(arch);
+        } else {
+            archetypes[index] = arch;
+        }
+
+        listeners.forEach(fn => fn(arch));
+        return arch;
+    }
+
+    /**
+     * Fills in labels/limits for declared parameters and checks their types
+     */
+    function normalizeParams(archId, params) {
+        return (params || []).map(p => {
+            const type = p.type || 'range';
+            if (!p.id || (type !== 'range' && type !== 'color')) {
+                throw new TypeError(`registerArchetype: invalid parameter ${JSON.stringify(p.id)} on "${archId}"`);
+            }
+            if (type === 'color') {
+                return { id: p.id, label: p.label || p.id, type, default: p.default || '#ffffff' };
+            }
+            const min = typeof p.min === 'number' ? p.min : 0;
+            const max = typeof p.max === 'number' ? p.max : 1;
+            return {
+                id: p.id,
+                label: p.label || p.id,
+                type,
+                min,
+                max,
+                step: p.step || (max - min) / 100,
+                default: typeof p.default === 'number' ? p.default : min
+            };
+        });
+    }
+
+    /**
+     * Merges user overrides over an archetype's parameter defaults. Unknown
+     * keys are dropped and numbers are clamped to the declared range.
+     */
+    function resolveParams(arch, overrides) {
+        const values = {};
+        arch.params.forEach(p => {
+            let value = overrides && overrides[p.id] !== undefined ? overrides[p.id] : p.default;
+            if (p.type === 'range') {
+                value = Number(value);
+                if (!isFinite(value)) value = p.default;
+                value = Math.min(p.max, Math.max(p.min, value));
+            } else if (!/^#[0-9a-f]{6}$/i.test(value)) {
+                value = p.default;
+            }
+            values[p.id] = value;
+        });
+        return values;
+    }
+
+    /**
+     * URL of the script currently being evaluated (null inside workers,
+     * inline scripts, or when called later from an event handler)
+     */
+    function currentScriptUrl() {
+        const script = root.document && root.document.currentScript;
+        return (script && script.src) || null;
+    }
+
+    /**
+     * Returns the archetype with the given id (or undefined)
+     */
+    function getArchetype(id) {
+        return archetypes.find(a => a.id === id);
+    }
+
+    /**
+     * Returns a copy of all registered archetypes, in registration order
+     */
+    function listArchetypes() {
+        return archetypes.slice();
+    }
+
+    /**
+     * Calls fn(archetype) whenever an archetype is registered or replaced
+     */
+    function onArchetypeRegistered(fn) {
+        listeners.push(fn);
+    }
+
+    // --- Shared Helpers ---
+
+    /**
+     * Creates a scratch canvas that works both in the page and in workers
+     */
+    function createCanvas(width, height) {
+        return typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(width, height)
+            : Object.assign(document.createElement('canvas'), { width, height });
+    }
+
+    PsycheOS.registerArchetype = registerArchetype;
+    PsycheOS.getArchetype = getArchetype;
+    PsycheOS.listArchetypes = listArchetypes;
+    PsycheOS.onArchetypeRegistered = onArchetypeRegistered;
+    PsycheOS.resolveParams = resolveParams;
+    PsycheOS.createCanvas = createCanvas;
+
+})(self);
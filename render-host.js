@@ -0,0 +1,265 @@
+// Psyche.OS render hosts
+// Decides where the frame pipeline runs. Both hosts expose the same API:
+//   host.mode                          'worker' | 'main'
+//   host.gpu                           true if the pixel filters run on WebGL
+//   host.render(source, state)         draw one frame (may drop frames when busy)
+//   host.capture(source, state, type)  render a frame offscreen and resolve with a Blob
+//                                      (the live view, and so a recording, never shows it)
+//   host.snapshot(width, height)       copy the current frame as an ImageBitmap
+//   host.loadScripts(urls)             make late-registered archetypes available
+//   host.defineArchetypes(definitions) same for archetypes built from JSON definitions
+//   host.setLut(archId, lut)           grade an archetype with a parsed .cube LUT (or null)
+//   host.setIcon(archId, bitmap)       symbol ImageBitmap for the comparison grid (or null)
+//   host.stats                         { frames, timings } of the last rendered frame
+// If the render worker crashes, its captures and snapshots (pending and
+// later ones) reject instead of waiting forever.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    const WORKER_URL = 'render-worker.js';
+    const WORKER_READY_TIMEOUT = 3000; // ms
+
+    /**
+     * Creates the best available host for a canvas: the render worker when
+     * OffscreenCanvas is supported and every archetype can be imported there,
+     * otherwise the main thread.
+     */
+    async function createRenderHost(canvas, options = {}) {
+        const scripts = archetypeScripts();
+        const definitions = PsycheOS.listArchetypes().filter(a => a.definition).map(a => a.definition);
+        const workerSupported = typeof Worker !== 'undefined' &&
+            typeof canvas.transferControlToOffscreen === 'function' &&
+            typeof createImageBitmap === 'function';
+
+        if (options.worker !== false && workerSupported && scripts) {
+            try {
+                return await createWorkerHost(canvas, scripts, definitions);
+            } catch (err) {
+                console.warn("Render worker unavailable, rendering on the main thread:", err);
+            }
+        }
+        return createMainThreadHost(canvas);
+    }
+
+    /**
+     * Unique script URLs of all script-based archetypes, or null if any
+     * archetype has neither a script nor a definition (it can't be
+     * re-created in a worker)
+     */
+    function archetypeScripts() {
+        const archetypes = PsycheOS.listArchetypes().filter(a => !a.definition);
+        if (archetypes.some(a => !a.script)) return null;
+        return [...new Set(archetypes.map(a => a.script))];
+    }
+
+    // --- Main Thread Host ---
+
+    function createMainThreadHost(canvas) {
+        const pipeline = PsycheOS.createPipeline(canvas);
+        const capturePipeline = PsycheOS.createPipeline(PsycheOS.createCanvas(1, 1)); // Sized per capture
+        const stats = { frames: 0, timings: null };
+
+        return {
+            mode: 'main',
+            gpu: PsycheOS.gpu.isAvailable(),
+            stats,
+            render(source, state) {
+                stats.timings = pipeline.render(source, state);
+                stats.frames++;
+            },
+            capture(source, state, mimeType = 'image/png') {
+                capturePipeline.render(source, state);
+                return canvasToBlob(capturePipeline.canvas, mimeType);
+            },
+            snapshot(width, height) {
+                return createImageBitmap(canvas, {
+                    resizeWidth: width,
+                    resizeHeight: height,
+                    resizeQuality: 'medium'
+                });
+            },
+            loadScripts() {
+                // Scripts are already loaded in this thread
+            },
+            defineArchetypes() {
+                // Already defined in this thread
+            },
+            setLut(archId, lut) {
+                pipeline.setLut(archId, lut);
+                capturePipeline.setLut(archId, lut);
+            },
+            setIcon(archId, bitmap) {
+                pipeline.setIcon(archId, bitmap);
+                capturePipeline.setIcon(archId, bitmap);
+            }
+        };
+    }
+
+    // --- Worker Host ---
+
+    async function createWorkerHost(canvas, scripts, definitions) {
+        const worker = new Worker(WORKER_URL);
+
+        // Make sure the worker can import every archetype BEFORE handing over
+        // the canvas, since a transferred canvas can't be drawn on here again.
+        const ready = await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error("Render worker timed out")), WORKER_READY_TIMEOUT);
+            worker.onmessage = (e) => {
+                if (e.data.type === 'ready' || e.data.type === 'error') {
+                    clearTimeout(timer);
+                    e.data.type === 'ready' ? resolve(e.data) : reject(new Error(e.data.message));
+                }
+            };
+            worker.onerror = (e) => {
+                clearTimeout(timer);
+                e.preventDefault();
+                reject(new Error(e.message || "Render worker failed to start"));
+            };
+            worker.postMessage({ type: 'load', scripts, definitions, gpuEnabled: PsycheOS.gpu.enabled });
+        }).catch(err => {
+            worker.terminate();
+            throw err;
+        });
+
+        const offscreen = canvas.transferControlToOffscreen();
+        worker.postMessage({ type: 'canvas', canvas: offscreen }, [offscreen]);
+
+        let busy = false;       // A frame or capture is in flight; drop new frames meanwhile
+        let idleWaiters = [];   // Resolved once busy clears (captures wait for the live frame)
+        let captureQueue = Promise.resolve(); // Captures run one at a time
+        const stats = { frames: 0, timings: null };
+        let nextRequestId = 1;
+        const pendingRequests = new Map(); // id -> { resolve, reject } for captures/snapshots
+        let failure = null;     // Set once the worker has crashed
+
+        function request(msg, transfer) {
+            if (failure) return Promise.reject(failure);
+            const id = nextRequestId++;
+            return new Promise((resolve, reject) => {
+                pendingRequests.set(id, { resolve, reject });
+                worker.postMessage(Object.assign({ id }, msg), transfer || []);
+            });
+        }
+
+        /**
+         * Resolves once no frame or capture is in flight
+         */
+        function whenIdle() {
+            return busy ? new Promise(resolve => idleWaiters.push(resolve)) : Promise.resolve();
+        }
+
+        function setIdle() {
+            busy = false;
+            const waiters = idleWaiters;
+            idleWaiters = [];
+            waiters.forEach(resolve => resolve());
+        }
+
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === 'rendered') {
+                setIdle();
+                if (msg.timings) {
+                    stats.timings = msg.timings;
+                    stats.frames++;
+                }
+            } else if (msg.type === 'captured' || msg.type === 'snapshot') {
+                const pending = pendingRequests.get(msg.id);
+                pendingRequests.delete(msg.id);
+                if (!pending) return;
+                msg.error ? pending.reject(new Error(msg.error)) : pending.resolve(msg.blob || msg.bitmap);
+            } else if (msg.type === 'error') {
+                console.error("Render worker error:", msg.message);
+            }
+        };
+        worker.onerror = (e) => {
+            console.error("Render worker crashed:", e.message);
+            // Uncaught in the worker: its state can't be trusted any more
+            failure = new Error(e.message || "Render worker crashed");
+            worker.terminate();
+            pendingRequests.forEach(pending => pending.reject(failure));
+            pendingRequests.clear();
+            setIdle();
+        };
+
+        return {
+            mode: 'worker',
+            gpu: ready.gpu,
+            stats,
+            render(source, state) {
+                if (busy || failure) return;
+                busy = true;
+                grabFrame(source).then(frame => {
+                    worker.postMessage({ type: 'frame', frame, state }, [frame]);
+                }).catch(err => {
+                    setIdle();
+                    console.warn("Could not grab video frame:", err);
+                });
+            },
+            capture(source, state, mimeType = 'image/png') {
+                // Wait for the live frame in flight and keep new ones out
+                // until 'captured', so the two states never interleave
+                const run = captureQueue.then(async () => {
+                    if (failure) throw failure;
+                    while (busy) await whenIdle();
+                    busy = true;
+                    try {
+                        const frame = await grabFrame(source);
+                        if (failure) {
+                            frame.close(); // Never transferred, so release it here
+                            throw failure;
+                        }
+                        return await request({ type: 'capture', frame, state, mimeType }, [frame]);
+                    } finally {
+                        setIdle();
+                    }
+                });
+                captureQueue = run.catch(() => {});
+                return run;
+            },
+            snapshot(width, height) {
+                return request({ type: 'snapshot', width, height });
+            },
+            loadScripts(urls) {
+                worker.postMessage({ type: 'load', scripts: urls });
+            },
+            defineArchetypes(definitions) {
+                worker.postMessage({ type: 'load', scripts: [], definitions });
+            },
+            setLut(archId, lut) {
+                worker.postMessage({ type: 'lut', archId, lut });
+            },
+            setIcon(archId, bitmap) {
+                worker.postMessage({ type: 'icon', archId, bitmap }, bitmap ? [bitmap] : []);
+            }
+        };
+    }
+
+    /**
+     * Encodes an HTMLCanvasElement or OffscreenCanvas (whichever
+     * createCanvas made)
+     */
+    function canvasToBlob(target, mimeType) {
+        if (typeof target.convertToBlob === 'function') {
+            return target.convertToBlob({ type: mimeType });
+        }
+        return new Promise((resolve, reject) => {
+            target.toBlob(blob => blob ? resolve(blob) : reject(new Error("Canvas capture failed")), mimeType);
+        });
+    }
+
+    /**
+     * Copies the current frame of a source into a transferable object.
+     * VideoFrame is cheapest where available; ImageBitmap works everywhere else.
+     */
+    async function grabFrame(source) {
+        if (typeof VideoFrame !== 'undefined' && source instanceof HTMLVideoElement) {
+            return new VideoFrame(source);
+        }
+        return createImageBitmap(source);
+    }
+
+    PsycheOS.createRenderHost = createRenderHost;
+
+})(self);
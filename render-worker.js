@@ -0,0 +1,126 @@
+// Psyche.OS render worker
+// Runs the frame pipeline on an OffscreenCanvas so the main thread only has
+// to handle the UI. Messages (main -> worker):
+//   { type: 'load', scripts, definitions, gpuEnabled }
+//                                          import archetype scripts and define JSON
+//                                          archetypes (definitions.js) -> 'ready' | 'error'
+//   { type: 'canvas', canvas }             the transferred OffscreenCanvas
+//   { type: 'lut', archId, lut }           set (or clear) an archetype's parsed LUT
+//   { type: 'icon', archId, bitmap }       set (or clear) an archetype's grid symbol
+//   { type: 'frame', frame, state }        render one frame -> 'rendered' { timings }
+//   { type: 'capture', id, frame, state, mimeType }
+//                                          render offscreen (not on the shown
+//                                          canvas) and encode -> 'captured'
+//   { type: 'snapshot', id, width, height }
+//                                          copy the current frame -> 'snapshot' (ImageBitmap)
+importScripts('registry.js', 'kernels.js', 'gl.js', 'grade.js', 'lut.js', 'pipeline.js', 'definitions.js');
+
+let pipeline = null;
+let capturePipeline = null; // Renders captures so they never flash up in the live view
+const loadedScripts = new Set();
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+        case 'load':
+            loadScripts(msg);
+            break;
+        case 'canvas':
+            pipeline = self.PsycheOS.createPipeline(msg.canvas);
+            capturePipeline = self.PsycheOS.createPipeline(new OffscreenCanvas(1, 1)); // Sized per capture
+            break;
+        case 'lut':
+            if (pipeline) {
+                pipeline.setLut(msg.archId, msg.lut);
+                capturePipeline.setLut(msg.archId, msg.lut);
+            }
+            break;
+        case 'icon':
+            if (pipeline) {
+                pipeline.setIcon(msg.archId, msg.bitmap);
+                capturePipeline.setIcon(msg.archId, msg.bitmap);
+            }
+            break;
+        case 'frame':
+            self.postMessage({ type: 'rendered', timings: renderFrame(msg.frame, msg.state) });
+            break;
+        case 'capture':
+            captureFrame(msg);
+            break;
+        case 'snapshot':
+            snapshotFrame(msg);
+            break;
+    }
+};
+
+/**
+ * Imports archetype scripts (each one re-registers its archetypes here)
+ * and defines the JSON archetypes
+ */
+function loadScripts(msg) {
+    if (typeof msg.gpuEnabled === 'boolean') {
+        self.PsycheOS.gpu.enabled = msg.gpuEnabled;
+    }
+
+    try {
+        const scripts = msg.scripts.filter(src => !loadedScripts.has(src));
+        importScripts(...scripts);
+        scripts.forEach(src => loadedScripts.add(src));
+        (msg.definitions || []).forEach(def => self.PsycheOS.defineArchetype(def));
+        self.postMessage({ type: 'ready', gpu: self.PsycheOS.gpu.isAvailable() });
+    } catch (err) {
+        console.error("Render worker failed to load scripts:", err);
+        self.postMessage({ type: 'error', message: err.message });
+    }
+}
+
+/**
+ * Draws a transferred frame through a pipeline (the live one by default)
+ * and releases it. Returns the stage timings (null if nothing was drawn).
+ */
+function renderFrame(frame, state, target = pipeline) {
+    try {
+        if (target) {
+            return target.render(frame, state);
+        }
+    } catch (err) {
+        console.error("Render worker frame failed:", err);
+    } finally {
+        frame.close();
+    }
+    return null;
+}
+
+/**
+ * Renders a capture on the offscreen pipeline and encodes it, or reports
+ * why it failed (never a stale canvas)
+ */
+async function captureFrame(msg) {
+    if (!renderFrame(msg.frame, msg.state, capturePipeline)) {
+        self.postMessage({ type: 'captured', id: msg.id, error: "The capture frame could not be rendered" });
+        return;
+    }
+    try {
+        const blob = await capturePipeline.canvas.convertToBlob({ type: msg.mimeType });
+        self.postMessage({ type: 'captured', id: msg.id, blob });
+    } catch (err) {
+        self.postMessage({ type: 'captured', id: msg.id, error: err.message });
+    }
+}
+
+/**
+ * Copies what is currently on the canvas (optionally resized) without
+ * rendering a new frame
+ */
+async function snapshotFrame(msg) {
+    try {
+        const bitmap = await createImageBitmap(pipeline.canvas, {
+            resizeWidth: msg.width,
+            resizeHeight: msg.height,
+            resizeQuality: 'medium'
+        });
+        self.postMessage({ type: 'snapshot', id: msg.id, bitmap }, [bitmap]);
+    } catch (err) {
+        self.postMessage({ type: 'snapshot', id: msg.id, error: err.message });
+    }
+}
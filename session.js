@@ -0,0 +1,96 @@
+// Psyche.OS deep links
+// Reads and writes the mirror's look as a URL hash, so links like
+//   #trickster
+//   #trickster&passionFactor=2.4&passionColor=ff00aa
+//   #shadow&layers=anima:0.6:screen
+// open straight into that archetype, with parameter tweaks and layers.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    /**
+     * Parses a hash (with or without the leading '#') into
+     *   { filterId, params: { id: value }, layers: [{ filterId, opacity, blend }] }
+     * Parameter values are coerced with the archetype's declared types and
+     * unknown ones dropped; returns null if no known archetype is named.
+     */
+    function parseLink(hash) {
+        const text = (hash || '').replace(/^#/, '');
+        if (!text) return null;
+
+        const entries = [...new URLSearchParams(text)];
+        if (!entries.length) return null;
+
+        // The first bare key names the archetype
+        const [filterId, value] = entries[0];
+        const arch = value === '' ? PsycheOS.getArchetype(filterId) : null;
+        if (!arch) return null;
+
+        const link = { filterId, params: {}, layers: [] };
+        entries.slice(1).forEach(([key, raw]) => {
+            if (key === 'layers') {
+                link.layers = parseLayers(raw);
+                return;
+            }
+            const param = arch.params.find(p => p.id === key);
+            if (!param) return;
+            if (param.type === 'color') {
+                link.params[key] = `#${raw.replace(/^#/, '')}`;
+            } else if (raw !== '' && !isNaN(Number(raw))) {
+                link.params[key] = Number(raw);
+            }
+        });
+
+        // Let the registry clamp and validate the values
+        const resolved = PsycheOS.resolveParams(arch, link.params);
+        Object.keys(link.params).forEach(key => { link.params[key] = resolved[key]; });
+        return link;
+    }
+
+    /**
+     * "anima:0.6:screen,persona:0.4" -> layer list (unknown archetypes skipped)
+     */
+    function parseLayers(raw) {
+        return raw.split(',').map(spec => {
+            const [filterId, opacity, blend] = spec.split(':');
+            if (!PsycheOS.getArchetype(filterId)) return null;
+            const value = Number(opacity);
+            return {
+                filterId,
+                opacity: opacity !== undefined && !isNaN(value) ? Math.min(1, Math.max(0, value)) : 1,
+                blend: PsycheOS.BLEND_MODES.includes(blend) ? blend : 'source-over'
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Builds the hash for an archetype, its changed parameters and layers
+     */
+    function buildLink({ filterId, params, layers }) {
+        const hash = `#${encodeURIComponent(filterId)}`;
+
+        const query = new URLSearchParams();
+        Object.keys(params || {}).forEach(key => {
+            const value = params[key];
+            // Colors without the '#', which would otherwise be escaped
+            query.set(key, typeof value === 'string' ? value.replace(/^#/, '') : String(value));
+        });
+        if (layers && layers.length) {
+            query.set('layers', layers.map(layer => {
+                return layer.blend && layer.blend !== 'source-over'
+                    ? `${layer.filterId}:${layer.opacity}:${layer.blend}`
+                    : `${layer.filterId}:${layer.opacity}`;
+            }).join(','));
+        }
+
+        const rest = query.toString();
+        // Keep ':' and ',' readable in the layers value
+        return rest ? `${hash}&${rest.replace(/%3A/g, ':').replace(/%2C/g, ',')}` : hash;
+    }
+
+    PsycheOS.session = {
+        parseLink,
+        buildLink
+    };
+
+})(self);
@@ -0,0 +1,304 @@
+// Psyche.OS input sources
+// Everything the mirror can look at: the webcam, a still image, a local
+// video file, or a generated test pattern. All sources share one shape:
+//   source.kind        'camera' | 'image' | 'video' | 'pattern'
+//   source.name        Human readable label
+//   source.element     Something drawImage/createImageBitmap accepts
+//   source.width/height  Processing size (large inputs are scaled down)
+//   source.isReady()   True once frames can be drawn
+//   source.update(t)   Optional per-frame hook (animated sources)
+//   source.stop()      Releases the underlying camera/file/object URL
+// Camera sources also carry deviceId, facingMode and isLive().
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+    const { PsycheError, fromMediaError } = PsycheOS.errors;
+
+    const MAX_DIMENSION = 1920; // Longest side we process for files
+
+    // Camera resolutions offered in the picker (the browser picks the closest)
+    const CAMERA_RESOLUTIONS = {
+        '480p': { width: 640, height: 480 },
+        '720p': { width: 1280, height: 720 },
+        '1080p': { width: 1920, height: 1080 }
+    };
+
+    /**
+     * Scales a size down (never up) so its longest side fits MAX_DIMENSION
+     */
+    function fitSize(width, height) {
+        const scale = Math.min(1, MAX_DIMENSION / Math.max(width, height));
+        return {
+            width: Math.round(width * scale),
+            height: Math.round(height * scale)
+        };
+    }
+
+    /**
+     * Waits for a video element's metadata and starts playback
+     */
+    function startVideo(video) {
+        return new Promise((resolve, reject) => {
+            video.onloadedmetadata = () => {
+                // --- CRITICAL FIX ---
+                // Manually start playback as autoplay can be unreliable
+                video.play().then(() => {
+                    console.log("Video playback started successfully.");
+                    resolve(); // Resolve the promise *after* play starts
+                }).catch(e => {
+                    console.error("Video play failed:", e);
+                    reject(fromMediaError(e)); // Reject the promise if play fails
+                });
+            };
+            video.onerror = (e) => {
+                console.error("Video element error:", e);
+                reject(new PsycheError('playback-failed', null, video.error || e));
+            };
+        });
+    }
+
+    // --- Camera ---
+
+    /**
+     * Lists the video inputs. Labels stay empty until camera permission
+     * has been granted once.
+     */
+    async function listCameras() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, i) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${i + 1}`
+            }));
+    }
+
+    /**
+     * Opens the webcam into the given <video> element.
+     * options: { deviceId, facingMode ('user' | 'environment'),
+     *            resolution (a CAMERA_RESOLUTIONS key), onEnded }
+     * A specific deviceId wins over facingMode. onEnded is called if the
+     * camera goes away on its own (unplugged, revoked, taken by the OS).
+     * Failures are thrown as PsycheErrors (see errors.js).
+     */
+    async function createCameraSource(video, options = {}) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            // Also the case on plain http:// pages
+            throw new PsycheError('no-camera', "Camera access isn't available here (it needs HTTPS or localhost).");
+        }
+
+        const size = CAMERA_RESOLUTIONS[options.resolution] || CAMERA_RESOLUTIONS['720p'];
+        const constraints = {
+            width: { ideal: size.width },
+            height: { ideal: size.height }
+        };
+        if (options.deviceId) {
+            constraints.deviceId = { exact: options.deviceId };
+        } else if (options.facingMode) {
+            constraints.facingMode = { ideal: options.facingMode };
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: constraints,
+                audio: false
+            });
+        } catch (err) {
+            throw fromMediaError(err);
+        }
+        const track = stream.getVideoTracks()[0];
+        const settings = track.getSettings ? track.getSettings() : {};
+        let stopped = false;
+
+        video.srcObject = stream;
+
+        try {
+            await startVideo(video);
+        } catch (err) {
+            stream.getTracks().forEach(t => t.stop());
+            throw err;
+        }
+
+        track.addEventListener('ended', () => {
+            if (!stopped && options.onEnded) options.onEnded();
+        });
+
+        return {
+            kind: 'camera',
+            name: track.label || 'Webcam',
+            element: video,
+            deviceId: settings.deviceId || options.deviceId || '',
+            facingMode: settings.facingMode || options.facingMode || '',
+            // Read live: the stream can change size (e.g. a phone rotating)
+            get width() { return video.videoWidth; },
+            get height() { return video.videoHeight; },
+            isReady: () => video.readyState >= 2 && track.readyState === 'live',
+            isLive: () => track.readyState === 'live',
+            stop() {
+                stopped = true;
+                stream.getTracks().forEach(t => t.stop());
+                // A newer camera source may already be using the element
+                if (video.srcObject === stream) {
+                    video.srcObject = null;
+                }
+            }
+        };
+    }
+
+    // --- Still Image ---
+
+    /**
+     * Loads a still image from a File/Blob
+     */
+    async function createImageSource(file) {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.src = url;
+
+        try {
+            await img.decode();
+        } catch (err) {
+            URL.revokeObjectURL(url);
+            throw new PsycheError('unsupported-file', `Could not decode image "${file.name}".`, err);
+        }
+
+        const size = fitSize(img.naturalWidth, img.naturalHeight);
+        return {
+            kind: 'image',
+            name: file.name || 'Image',
+            element: img,
+            width: size.width,
+            height: size.height,
+            isReady: () => true,
+            stop() {
+                URL.revokeObjectURL(url);
+            }
+        };
+    }
+
+    // --- Video File ---
+
+    /**
+     * Plays a local video file on a loop (muted, so autoplay is allowed)
+     */
+    async function createVideoFileSource(file) {
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.src = url;
+
+        try {
+            await startVideo(video);
+        } catch (err) {
+            URL.revokeObjectURL(url);
+            throw new PsycheError('playback-failed', `Could not play video "${file.name}".`, err);
+        }
+
+        const size = fitSize(video.videoWidth, video.videoHeight);
+        return {
+            kind: 'video',
+            name: file.name || 'Video',
+            element: video,
+            width: size.width,
+            height: size.height,
+            isReady: () => video.readyState >= 2,
+            stop() {
+                video.pause();
+                video.removeAttribute('src');
+                video.load();
+                URL.revokeObjectURL(url);
+            }
+        };
+    }
+
+    /**
+     * Picks the image or video source for a dropped/picked file
+     */
+    function createFileSource(file) {
+        if (file.type.startsWith('image/')) return createImageSource(file);
+        if (file.type.startsWith('video/')) return createVideoFileSource(file);
+        return Promise.reject(new PsycheError('unsupported-file', `Unsupported file type: ${file.type || file.name}`));
+    }
+
+    // --- Test Pattern ---
+
+    /**
+     * A generated, animated test card: color bars, a gray ramp, fine lines
+     * for the edge detector and a moving disc. Deterministic for a given time,
+     * so it's handy for demos and for checking filters without a camera.
+     */
+    function createTestPatternSource(width = 1280, height = 720) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const bars = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+
+        function update(time) {
+            const barHeight = height * 0.6;
+            const barWidth = width / bars.length;
+
+            // 1. Color bars
+            bars.forEach((color, i) => {
+                ctx.fillStyle = color;
+                ctx.fillRect(Math.floor(i * barWidth), 0, Math.ceil(barWidth), barHeight);
+            });
+
+            // 2. Gray ramp
+            const ramp = ctx.createLinearGradient(0, 0, width, 0);
+            ramp.addColorStop(0, '#000');
+            ramp.addColorStop(1, '#fff');
+            ctx.fillStyle = ramp;
+            ctx.fillRect(0, barHeight, width, height * 0.2);
+
+            // 3. Fine line grid (gives the edge detector something to find)
+            ctx.fillStyle = '#101010';
+            ctx.fillRect(0, height * 0.8, width, height * 0.2);
+            ctx.strokeStyle = '#e0e0e0';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let x = 0.5; x < width; x += 16) {
+                ctx.moveTo(x, height * 0.8);
+                ctx.lineTo(x, height);
+            }
+            ctx.stroke();
+
+            // 4. Moving disc, so motion and glitches are visible
+            const t = time / 1000;
+            const cx = width / 2 + Math.cos(t) * width * 0.3;
+            const cy = barHeight / 2 + Math.sin(t * 1.3) * barHeight * 0.25;
+            ctx.fillStyle = '#f5d6b0';
+            ctx.beginPath();
+            ctx.arc(cx, cy, height * 0.12, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        update(0);
+        return {
+            kind: 'pattern',
+            name: 'Test pattern',
+            element: canvas,
+            width,
+            height,
+            isReady: () => true,
+            update,
+            stop() {}
+        };
+    }
+
+    PsycheOS.sources = {
+        CAMERA_RESOLUTIONS,
+        listCameras,
+        createCameraSource,
+        createImageSource,
+        createVideoFileSource,
+        createFileSource,
+        createTestPatternSource
+    };
+
+})(self);
@@ -0,0 +1,104 @@
+// Golden-image tests for the built-in archetypes, run headless through the
+// real pipeline on its CPU path. Run: node --test test/
+// After an intended visual change: UPDATE_GOLDEN=1 node --test test/
+//
+// Anima and Trickster do their pixel work in kernels.js, so their goldens
+// check the real filter. Self, Persona and Shadow are mostly gradients,
+// fills and composite modes, as is Hero's vignette (its duotone is a
+// kernel). Those are drawn by the canvas mock in helpers/canvas.js, so
+// their goldens check the LUT and grade passes but the drawing only as the
+// mock renders it, not as a browser would.
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadPsycheOS } = require('./helpers/load');
+const { createCanvas } = require('./helpers/canvas');
+const { assertGolden } = require('./helpers/golden');
+const { createTestImage } = require('./helpers/fixtures');
+
+const WIDTH = 32;
+const HEIGHT = 24;
+const SEED = 1234;
+
+const PsycheOS = loadPsycheOS([
+    'registry.js',
+    'kernels.js',
+    'gl.js',
+    'grade.js',
+    'lut.js',
+    'pipeline.js',
+    'definitions.js',
+    'archetypes.js'
+], {
+    OffscreenCanvas: function (width, height) { return createCanvas(width, height); }
+});
+
+const source = createCanvas(WIDTH, HEIGHT);
+source.getContext('2d').putImageData(createTestImage(WIDTH, HEIGHT), 0, 0);
+const pipeline = PsycheOS.createPipeline(createCanvas(WIDTH, HEIGHT));
+
+/**
+ * Renders one deterministic frame of an archetype and returns its pixels
+ */
+function renderFrame(filterId, overrides = {}) {
+    pipeline.render(source, Object.assign({
+        filterId,
+        params: {},
+        width: WIDTH,
+        height: HEIGHT,
+        time: 0,
+        recording: null,
+        transition: null,
+        reducedMotion: false,
+        lutIntensity: 1,
+        modulation: { motion: 0.5, audio: 0.5 },
+        random: PsycheOS.kernels.createRandom(SEED)
+    }, overrides));
+    return pipeline.canvas.getContext('2d').getImageData(0, 0, WIDTH, HEIGHT);
+}
+
+PsycheOS.listArchetypes().forEach(arch => {
+    test(`${arch.name} matches its golden image`, () => {
+        if (arch.lut) {
+            const text = fs.readFileSync(path.join(ROOT, arch.lut), 'utf8');
+            pipeline.setLut(arch.id, PsycheOS.lut.parse(text));
+        }
+        assertGolden(`archetype-${arch.id}`, renderFrame(arch.id));
+    });
+});
+
+test('Anima leaves no transparent border', () => {
+    const image = renderFrame('anima');
+    for (let i = 3; i < image.data.length; i += 4) {
+        assert.strictEqual(image.data[i], 255, `alpha at pixel ${(i - 3) / 4}`);
+    }
+});
+
+test('Shadow is steady with reduced motion', () => {
+    const a = renderFrame('shadow', { reducedMotion: true, random: PsycheOS.kernels.createRandom(1) });
+    const b = renderFrame('shadow', { reducedMotion: true, random: PsycheOS.kernels.createRandom(2) });
+    assert.deepStrictEqual(a.data, b.data);
+});
+
+test('a JSON-defined archetype matches its golden image', () => {
+    PsycheOS.defineArchetype({
+        psycheos: 1,
+        id: 'hero',
+        name: 'The Hero',
+        symbol: 'fa-solid fa-shield-halved',
+        description: 'The courageous ego setting out to overcome the dragon.',
+        grade: 'contrast(1.2)',
+        params: [
+            { id: 'level', label: 'Gold level', min: 0, max: 255, step: 1, default: 110 },
+            { id: 'gold', label: 'Gold', type: 'color', default: '#ffc94a' }
+        ],
+        ops: [
+            { op: 'duotone', threshold: '$level', dark: '#1a0f00', light: '$gold' },
+            { op: 'vignette', darkness: 0.7 }
+        ]
+    });
+    assertGolden('archetype-hero', renderFrame('hero'));
+});
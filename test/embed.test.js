@@ -0,0 +1,112 @@
+// Tests for the embed postMessage bridge (embed.js). Run: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadPsycheOS } = require('./helpers/load');
+
+const PAGE_ORIGIN = 'https://mirror.example';
+const HOST_ORIGIN = 'https://workshop.example';
+
+/**
+ * Loads embed.js into a fake window on PAGE_ORIGIN whose document allows
+ * the given embed origins; returns { PsycheOS, send, sent }
+ */
+function loadEmbed(allowed, referrer = '') {
+    const listeners = [];
+    const window = {
+        location: { origin: PAGE_ORIGIN },
+        document: {
+            referrer,
+            querySelector: () => ({ content: allowed })
+        },
+        addEventListener: (type, fn) => listeners.push(fn),
+        removeEventListener: (type, fn) => listeners.splice(listeners.indexOf(fn), 1),
+        URL
+    };
+    window.parent = window;
+    const PsycheOS = loadPsycheOS(['errors.js', 'embed.js'], window);
+
+    const sent = [];
+    const source = { postMessage: (msg, origin) => sent.push({ msg: JSON.parse(JSON.stringify(msg)), origin }) };
+    async function send(origin, data) {
+        await Promise.all(listeners.map(fn => fn({ origin, source, data })));
+    }
+    return { PsycheOS, send, sent };
+}
+
+const api = {
+    getArchetype: async () => 'shadow',
+    setArchetype: async (id) => {
+        if (id !== 'anima') throw new Error("nope");
+        return id;
+    }
+};
+
+test('answers commands from allowed origins', async () => {
+    const { PsycheOS, send, sent } = loadEmbed(HOST_ORIGIN);
+    PsycheOS.embed.createMessageBridge(api, PsycheOS.embed.readAllowedOrigins());
+
+    await send(HOST_ORIGIN, { psycheos: 1, id: 1, command: 'getArchetype' });
+    await send(PAGE_ORIGIN, { psycheos: 1, id: 2, command: 'setArchetype', args: ['anima'] });
+    assert.deepStrictEqual(sent, [
+        { msg: { psycheos: 1, id: 1, type: 'result', result: 'shadow' }, origin: HOST_ORIGIN },
+        { msg: { psycheos: 1, id: 2, type: 'result', result: 'anima' }, origin: PAGE_ORIGIN }
+    ]);
+});
+
+test('ignores other origins and other messages', async () => {
+    const { PsycheOS, send, sent } = loadEmbed('');
+    PsycheOS.embed.createMessageBridge(api, PsycheOS.embed.readAllowedOrigins());
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        await send(HOST_ORIGIN, { psycheos: 1, id: 1, command: 'getArchetype' });
+    } finally {
+        console.warn = warn;
+    }
+    await send(PAGE_ORIGIN, { type: 'something-else' });
+    assert.deepStrictEqual(sent, []);
+});
+
+test('replies with error codes', async () => {
+    const { PsycheOS, send, sent } = loadEmbed(HOST_ORIGIN);
+    PsycheOS.embed.createMessageBridge(api, PsycheOS.embed.readAllowedOrigins());
+
+    await send(HOST_ORIGIN, { psycheos: 1, id: 1, command: 'eval', args: ['1'] });
+    await send(HOST_ORIGIN, { psycheos: 1, id: 2, command: 'setArchetype', args: ['self'] });
+    assert.strictEqual(sent[0].msg.type, 'error');
+    assert.strictEqual(sent[0].msg.error.code, 'unknown-command');
+    assert.strictEqual(sent[1].msg.error.code, 'command-failed');
+});
+
+test('posts events to the windows that sent commands', async () => {
+    const { PsycheOS, send, sent } = loadEmbed(HOST_ORIGIN);
+    const bridge = PsycheOS.embed.createMessageBridge(api, PsycheOS.embed.readAllowedOrigins());
+
+    bridge.post('archetypechange', { id: 'anima' }); // Nobody listening yet
+    await send(HOST_ORIGIN, { psycheos: 1, id: 1, command: 'getArchetype' });
+    bridge.post('archetypechange', { id: 'anima' });
+    assert.deepStrictEqual(sent[1], {
+        msg: { psycheos: 1, type: 'event', event: 'archetypechange', detail: { id: 'anima' } },
+        origin: HOST_ORIGIN
+    });
+    assert.strictEqual(sent.length, 2);
+});
+
+test('the emitter keeps going when a listener throws', () => {
+    const { PsycheOS } = loadEmbed('');
+    const emitter = PsycheOS.embed.createEmitter();
+    const seen = [];
+    const error = console.error;
+    console.error = () => {};
+    try {
+        emitter.on('capture', () => { throw new Error("broken listener"); });
+        emitter.on('capture', detail => seen.push(detail.kind));
+        emitter.emit('capture', { kind: 'image' });
+    } finally {
+        console.error = error;
+    }
+    assert.deepStrictEqual(seen, ['image']);
+});
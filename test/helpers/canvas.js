@@ -0,0 +1,234 @@
+// A small software stand-in for CanvasRenderingContext2D, covering only
+// the calls the pipeline and archetype effects make on their CPU path.
+// Drawing samples the nearest pixel and gradients must be concentric, which
+// is all the effects use. ctx.filter reads as unsupported (like older
+// Safari), so color grades take grade.js's per-pixel fallback. Paths only
+// serve clip() with rectangles; filled paths, strokes and text (the badges
+// and labels) draw nothing.
+'use strict';
+
+/**
+ * 'rgba(r, g, b, a)', 'rgb(r, g, b)', '#rrggbb' or '#rgb' -> [r, g, b, a] (a is 0-1)
+ */
+function parseColor(text) {
+    const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(text);
+    if (short) {
+        return [short[1], short[2], short[3]].map(digit => parseInt(digit + digit, 16)).concat(1);
+    }
+    const hex = /^#([0-9a-f]{6})$/i.exec(text);
+    if (hex) {
+        const value = parseInt(hex[1], 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 1];
+    }
+    const fn = /^rgba?\(([^)]*)\)$/.exec(text.replace(/\s+/g, ''));
+    if (!fn) throw new Error(`Unsupported color "${text}"`);
+    const parts = fn[1].split(',').map(Number);
+    return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+}
+
+function createGradient(x0, y0, r0, x1, y1, r1) {
+    if (x0 !== x1 || y0 !== y1) throw new Error("Only concentric radial gradients are supported");
+    const stops = [];
+    return {
+        addColorStop(offset, color) {
+            stops.push({ offset, color: parseColor(color) });
+            stops.sort((a, b) => a.offset - b.offset);
+        },
+        colorAt(x, y) {
+            const distance = Math.hypot(x - x0, y - y0);
+            const t = Math.min(1, Math.max(0, (distance - r0) / (r1 - r0)));
+            if (t <= stops[0].offset) return stops[0].color;
+            for (let i = 1; i < stops.length; i++) {
+                if (t <= stops[i].offset) {
+                    const a = stops[i - 1];
+                    const b = stops[i];
+                    const f = (t - a.offset) / (b.offset - a.offset);
+                    return a.color.map((c, k) => c + (b.color[k] - c) * f);
+                }
+            }
+            return stops[stops.length - 1].color;
+        }
+    };
+}
+
+/**
+ * Creates a canvas-like { width, height, getContext } whose 2D context
+ * keeps its pixels in a plain RGBA array
+ */
+function createCanvas(width, height) {
+    let data = new Uint8ClampedArray(width * height * 4);
+    const canvas = {
+        get width() { return width; },
+        set width(value) { width = value; data = new Uint8ClampedArray(width * height * 4); },
+        get height() { return height; },
+        set height(value) { height = value; data = new Uint8ClampedArray(width * height * 4); },
+        getContext: () => ctx
+    };
+
+    const stack = [];
+    let path = [];      // Rectangles of the current path, null once it has other shapes
+    let clip = null;    // { x0, y0, x1, y1 } in pixels, or null for the whole canvas
+
+    /**
+     * Composites one (non-premultiplied) color onto pixel index i
+     */
+    function blend(i, r, g, b, a) {
+        const op = ctx.globalCompositeOperation;
+        const sa = a * ctx.globalAlpha;
+        const da = data[i + 3] / 255;
+        let oa;
+        let mix;
+        if (op === 'copy') {
+            oa = sa;
+            mix = (s) => s;
+        } else if (op === 'lighter') {
+            oa = Math.min(1, sa + da);
+            mix = (s, d) => Math.min(255, s * sa + d * da) / (oa || 1);
+        } else if (op === 'source-over') {
+            oa = sa + da * (1 - sa);
+            mix = (s, d) => (s * sa + d * da * (1 - sa)) / (oa || 1);
+        } else {
+            throw new Error(`Unsupported composite operation "${op}"`);
+        }
+        data[i] = mix(r, data[i]);
+        data[i + 1] = mix(g, data[i + 1]);
+        data[i + 2] = mix(b, data[i + 2]);
+        data[i + 3] = oa * 255;
+    }
+
+    const ctx = {
+        canvas,
+        fillStyle: '#000000',
+        globalCompositeOperation: 'source-over',
+        globalAlpha: 1,
+
+        save() {
+            stack.push({
+                clip,
+                state: {
+                    fillStyle: ctx.fillStyle,
+                    globalCompositeOperation: ctx.globalCompositeOperation,
+                    globalAlpha: ctx.globalAlpha
+                }
+            });
+        },
+        restore() {
+            const saved = stack.pop();
+            clip = saved.clip;
+            Object.assign(ctx, saved.state);
+        },
+        setTransform() {},
+
+        beginPath() {
+            path = [];
+        },
+        rect(x, y, w, h) {
+            if (path) path.push({ x, y, w, h });
+        },
+        arc() { path = null; },
+        moveTo() { path = null; },
+        lineTo() { path = null; },
+        fill() {},
+        strokeRect() {},
+        fillText() {},
+        measureText: (text) => ({ width: text.length * 8 }),
+
+        /**
+         * Narrows drawing to the current path, which must be one rectangle
+         */
+        clip() {
+            if (!path || path.length !== 1) throw new Error("Only single-rectangle clips are supported");
+            const { x, y, w, h } = path[0];
+            const next = {
+                x0: Math.round(x),
+                y0: Math.round(y),
+                x1: Math.round(x + w),
+                y1: Math.round(y + h)
+            };
+            clip = clip ? {
+                x0: Math.max(clip.x0, next.x0),
+                y0: Math.max(clip.y0, next.y0),
+                x1: Math.min(clip.x1, next.x1),
+                y1: Math.min(clip.y1, next.y1)
+            } : next;
+        },
+
+        clearRect(x, y, w, h) {
+            forEachPixel(x, y, w, h, i => data.fill(0, i, i + 4));
+        },
+        createImageData(w, h) {
+            return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+        },
+        getImageData(x, y, w, h) {
+            const image = ctx.createImageData(w, h);
+            for (let row = 0; row < h; row++) {
+                const start = ((y + row) * width + x) * 4;
+                image.data.set(data.subarray(start, start + w * 4), row * w * 4);
+            }
+            return image;
+        },
+        putImageData(image, x, y) {
+            for (let row = 0; row < image.height; row++) {
+                const start = row * image.width * 4;
+                data.set(image.data.subarray(start, start + image.width * 4), ((y + row) * width + x) * 4);
+            }
+        },
+        createRadialGradient: createGradient,
+
+        fillRect(x, y, w, h) {
+            const style = ctx.fillStyle;
+            const solid = typeof style === 'string' ? parseColor(style) : null;
+            forEachPixel(x, y, w, h, (i, px, py) => {
+                const color = solid || style.colorAt(px + 0.5, py + 0.5);
+                blend(i, color[0], color[1], color[2], color[3]);
+            });
+        },
+
+        /**
+         * drawImage(image, dx, dy[, dw, dh]) or
+         * drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh)
+         */
+        drawImage(image, ...args) {
+            let [sx, sy, sw, sh] = [0, 0, image.width, image.height];
+            let dx, dy, dw, dh;
+            if (args.length === 8) {
+                [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+            } else {
+                [dx, dy, dw = sw, dh = sh] = args;
+            }
+
+            // Snapshot first: effects often draw the canvas onto itself
+            const source = image.getContext('2d').getImageData(0, 0, image.width, image.height);
+            forEachPixel(dx, dy, dw, dh, (i, px, py) => {
+                const u = Math.floor(sx + (px + 0.5 - dx) * sw / dw);
+                const v = Math.floor(sy + (py + 0.5 - dy) * sh / dh);
+                if (u < 0 || v < 0 || u >= source.width || v >= source.height) return;
+                const j = (v * source.width + u) * 4;
+                blend(i, source.data[j], source.data[j + 1], source.data[j + 2], source.data[j + 3] / 255);
+            });
+        }
+    };
+
+    Object.defineProperty(ctx, 'filter', { get: () => undefined, set() {} });
+
+    /**
+     * Calls fn(index, x, y) for every canvas pixel whose center lies in the
+     * rectangle and inside the clip
+     */
+    function forEachPixel(x, y, w, h, fn) {
+        const area = clip || { x0: 0, y0: 0, x1: width, y1: height };
+        const x0 = Math.max(0, area.x0, Math.round(x));
+        const y0 = Math.max(0, area.y0, Math.round(y));
+        const x1 = Math.min(width, area.x1, Math.round(x + w));
+        const y1 = Math.min(height, area.y1, Math.round(y + h));
+        for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) {
+                fn((py * width + px) * 4, px, py);
+            }
+        }
+    }
+
+    return canvas;
+}
+
+module.exports = { createCanvas, parseColor };
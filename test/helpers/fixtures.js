@@ -0,0 +1,23 @@
+// Fixed input frames for the tests
+'use strict';
+
+/**
+ * A small RGBA test card: red across, green down, a blue checkerboard and
+ * a bright square in the middle (hard edges for the edge detectors)
+ */
+function createTestImage(width = 32, height = 24) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const inSquare = x >= width / 4 && x < width * 3 / 4 && y >= height / 4 && y < height * 3 / 4;
+            data[i] = inSquare ? 240 : Math.round(x / (width - 1) * 255);
+            data[i + 1] = inSquare ? 240 : Math.round(y / (height - 1) * 255);
+            data[i + 2] = inSquare ? 240 : (((x >> 2) + (y >> 2)) % 2 ? 200 : 40);
+            data[i + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+module.exports = { createTestImage };
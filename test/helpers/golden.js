@@ -0,0 +1,73 @@
+// Golden images: expected outputs kept as RGBA .pam files in test/golden
+// (a plain binary format most image viewers and ImageMagick can open).
+// Run with UPDATE_GOLDEN=1 to (re)write them after an intended change.
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+
+function encodePam(image) {
+    const header = [
+        'P7',
+        `WIDTH ${image.width}`,
+        `HEIGHT ${image.height}`,
+        'DEPTH 4',
+        'MAXVAL 255',
+        'TUPLTYPE RGB_ALPHA',
+        'ENDHDR',
+        ''
+    ].join('\n');
+    return Buffer.concat([Buffer.from(header, 'ascii'), Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength)]);
+}
+
+function decodePam(buffer) {
+    const end = buffer.indexOf('ENDHDR\n');
+    const header = buffer.toString('ascii', 0, end);
+    const field = (name) => Number(new RegExp(`^${name} (\\d+)$`, 'm').exec(header)[1]);
+    return {
+        width: field('WIDTH'),
+        height: field('HEIGHT'),
+        data: new Uint8ClampedArray(buffer.subarray(end + 'ENDHDR\n'.length))
+    };
+}
+
+/**
+ * Asserts that image matches test/golden/<name>.pam, allowing each channel
+ * to be off by tolerance (float rounding differs slightly between engines)
+ */
+function assertGolden(name, image, tolerance = 1) {
+    const file = path.join(GOLDEN_DIR, `${name}.pam`);
+    if (process.env.UPDATE_GOLDEN || !fs.existsSync(file)) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, encodePam(image));
+        if (!process.env.UPDATE_GOLDEN) {
+            assert.fail(`Golden image ${name}.pam was missing and has been written; check it and re-run`);
+        }
+        return;
+    }
+
+    const expected = decodePam(fs.readFileSync(file));
+    assert.strictEqual(image.width, expected.width, `${name}: width`);
+    assert.strictEqual(image.height, expected.height, `${name}: height`);
+
+    let mismatches = 0;
+    let first = null;
+    for (let i = 0; i < expected.data.length; i++) {
+        if (Math.abs(image.data[i] - expected.data[i]) > tolerance) {
+            mismatches++;
+            if (first === null) first = i;
+        }
+    }
+    if (mismatches) {
+        const pixel = Math.floor(first / 4);
+        assert.fail(`${name}: ${mismatches} channel values differ from the golden image, ` +
+            `first at (${pixel % image.width}, ${Math.floor(pixel / image.width)}): ` +
+            `got ${Array.from(image.data.slice(pixel * 4, pixel * 4 + 4))}, ` +
+            `expected ${Array.from(expected.data.slice(pixel * 4, pixel * 4 + 4))}`);
+    }
+}
+
+module.exports = { assertGolden };
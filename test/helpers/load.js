@@ -0,0 +1,29 @@
+// Loads the browser scripts (classic scripts that attach to self.PsycheOS)
+// into a fresh VM context, the way index.html and render-worker.js do.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Runs the given repo files in order and returns their PsycheOS namespace.
+ * The GPU path is switched off, so every effect takes its CPU fallback.
+ * globals are extra names to define in the context (e.g. OffscreenCanvas).
+ */
+function loadPsycheOS(files, globals = {}) {
+    const sandbox = { console, performance, URLSearchParams, ...globals };
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, sandbox, { filename: file });
+        if (file === 'gl.js') sandbox.PsycheOS.gpu.enabled = false;
+    });
+    return sandbox.PsycheOS;
+}
+
+module.exports = { ROOT, loadPsycheOS };
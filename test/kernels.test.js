@@ -0,0 +1,88 @@
+// Unit tests for the pure pixel kernels (kernels.js). Run: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const kernels = require('../kernels.js');
+
+/**
+ * width x height image filled with one RGBA color
+ */
+function solid(width, height, rgba) {
+    const image = kernels.createImage(width, height);
+    for (let i = 0; i < image.data.length; i += 4) image.data.set(rgba, i);
+    return image;
+}
+
+function pixel(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return Array.from(image.data.slice(i, i + 4));
+}
+
+test('invert flips colors, keeps alpha and leaves the source alone', () => {
+    const src = solid(2, 2, [10, 100, 250, 128]);
+    const out = kernels.invert(src);
+    assert.deepStrictEqual(pixel(out, 1, 1), [245, 155, 5, 128]);
+    assert.deepStrictEqual(pixel(src, 1, 1), [10, 100, 250, 128]);
+});
+
+test('invert amount blends towards the negative', () => {
+    const out = kernels.invert(solid(1, 1, [0, 100, 255, 255]), { amount: 0.5 });
+    assert.deepStrictEqual(pixel(out, 0, 0), [128, 128, 128, 255]);
+});
+
+test('redscale crushes shadows and scales the rest by passion', () => {
+    const options = { shadowThreshold: 55, passionFactor: 2, passionColor: [255, 0, 0] };
+    assert.deepStrictEqual(pixel(kernels.redscale(solid(1, 1, [50, 50, 50, 255]), options), 0, 0), [0, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(kernels.redscale(solid(1, 1, [100, 100, 100, 200]), options), 0, 0), [200, 0, 0, 200]);
+    assert.deepStrictEqual(pixel(kernels.redscale(solid(1, 1, [200, 200, 200, 255]), options), 0, 0), [255, 0, 0, 255]);
+});
+
+test('duotone splits at the luma threshold', () => {
+    const options = { threshold: 128, dark: [1, 2, 3], light: [4, 5, 6] };
+    assert.deepStrictEqual(pixel(kernels.duotone(solid(1, 1, [128, 128, 128, 255]), options), 0, 0), [1, 2, 3, 255]);
+    assert.deepStrictEqual(pixel(kernels.duotone(solid(1, 1, [129, 129, 129, 255]), options), 0, 0), [4, 5, 6, 255]);
+});
+
+test('laplacianEdges fills the 1px border too (no transparent frame)', () => {
+    const out = kernels.laplacianEdges(solid(5, 4, [90, 90, 90, 255]), {
+        threshold: 20, edgeColor: [255, 255, 255], backgroundColor: [20, 20, 20]
+    });
+    for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 5; x++) {
+            assert.deepStrictEqual(pixel(out, x, y), [20, 20, 20, 255], `pixel (${x}, ${y})`);
+        }
+    }
+});
+
+test('laplacianEdges finds edges at the border', () => {
+    const src = solid(4, 4, [0, 0, 0, 255]);
+    src.data.set([255, 255, 255, 255], 0); // Top-left corner
+    const out = kernels.laplacianEdges(src, {
+        threshold: 20, edgeColor: [255, 255, 255], backgroundColor: [0, 0, 0]
+    });
+    assert.deepStrictEqual(pixel(out, 0, 0), [255, 255, 255, 255]);
+    assert.deepStrictEqual(pixel(out, 1, 0), [255, 255, 255, 255]);
+    assert.deepStrictEqual(pixel(out, 0, 1), [255, 255, 255, 255]);
+    assert.deepStrictEqual(pixel(out, 1, 1), [0, 0, 0, 255]);
+});
+
+test('laplacianEdges gives the same result in place', () => {
+    const src = solid(6, 6, [30, 60, 90, 255]);
+    src.data.set([250, 10, 10, 255], (2 * 6 + 3) * 4);
+    const options = { threshold: 10, edgeColor: [255, 255, 255], backgroundColor: [0, 0, 0] };
+    const expected = kernels.laplacianEdges(src, options);
+    assert.deepStrictEqual(kernels.laplacianEdges(src, options, src).data, expected.data);
+});
+
+test('createRandom repeats its sequence for a seed', () => {
+    const a = kernels.createRandom(42);
+    const b = kernels.createRandom(42);
+    const c = kernels.createRandom(43);
+    const seqA = Array.from({ length: 100 }, a);
+    const seqB = Array.from({ length: 100 }, b);
+    const seqC = Array.from({ length: 100 }, c);
+    assert.deepStrictEqual(seqA, seqB);
+    assert.notDeepStrictEqual(seqA, seqC);
+    assert.ok(seqA.every(v => v >= 0 && v < 1));
+});
@@ -0,0 +1,82 @@
+// Tests for the motion meter. Run: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadPsycheOS } = require('./helpers/load');
+const { createCanvas } = require('./helpers/canvas');
+const { createTestImage } = require('./helpers/fixtures');
+
+const WIDTH = 64;
+const HEIGHT = 48;
+
+const PsycheOS = loadPsycheOS(['registry.js', 'modulation.js'], {
+    OffscreenCanvas: function (width, height) { return createCanvas(width, height); }
+});
+const { createMotionMeter } = PsycheOS.modulation;
+
+// Two fixed frames: the test card and its negative
+const frameA = createTestImage(WIDTH, HEIGHT);
+const frameB = createTestImage(WIDTH, HEIGHT);
+for (let i = 0; i < frameB.data.length; i += 4) {
+    frameB.data[i] = 255 - frameB.data[i];
+    frameB.data[i + 1] = 255 - frameB.data[i + 1];
+    frameB.data[i + 2] = 255 - frameB.data[i + 2];
+}
+
+/**
+ * A stand-in for a <video>: a canvas showing the given frame at a
+ * playback time
+ */
+function createVideo() {
+    const video = createCanvas(WIDTH, HEIGHT);
+    video.show = (frame, currentTime) => {
+        video.getContext('2d').putImageData(frame, 0, 0);
+        video.currentTime = currentTime;
+    };
+    return video;
+}
+
+test('the motion meter reads a changed frame as motion and a still one as none', () => {
+    const meter = createMotionMeter();
+    const video = createVideo();
+
+    video.show(frameA, 0);
+    assert.strictEqual(meter.measure(video), 0);
+    video.show(frameB, 0.04);
+    const moved = meter.measure(video);
+    assert.ok(moved > 0.3, `level after a new frame: ${moved}`);
+
+    // The same picture again, as a new frame: the level falls
+    video.show(frameB, 0.08);
+    assert.ok(meter.measure(video) < moved);
+});
+
+test('the motion meter holds its level while the video has not advanced', () => {
+    const meter = createMotionMeter();
+    const video = createVideo();
+
+    video.show(frameA, 0);
+    meter.measure(video);
+    video.show(frameB, 0.04);
+    const moved = meter.measure(video);
+
+    // The render loop ticks again before the next camera frame
+    assert.strictEqual(meter.measure(video), moved);
+    assert.strictEqual(meter.measure(video), moved);
+});
+
+test('the motion meter counts frames through requestVideoFrameCallback', () => {
+    const meter = createMotionMeter();
+    const video = createVideo();
+    let onFrame = null;
+    video.requestVideoFrameCallback = (fn) => { onFrame = fn; };
+
+    video.show(frameA, 0);
+    meter.measure(video);
+    video.show(frameB, 0);
+    assert.strictEqual(meter.measure(video), 0, 'no new frame presented yet');
+
+    onFrame();
+    assert.ok(meter.measure(video) > 0.3);
+});
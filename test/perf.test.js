@@ -0,0 +1,45 @@
+// Tests for the frame stats and the adaptive quality controller. Run: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadPsycheOS } = require('./helpers/load');
+
+const { createFrameStats, createQualityController } = loadPsycheOS(['registry.js', 'perf.js']).perf;
+
+test('frame stats smooth the time between frames and skip long gaps', () => {
+    const stats = createFrameStats(0.5);
+    const timings = { total: 5 };
+    stats.add(timings, 1000);
+    stats.add(timings, 1020);
+    assert.strictEqual(stats.interval, 20);
+    stats.add(timings, 1060);
+    assert.strictEqual(stats.interval, 30);
+    // A hidden tab stops frames for a while; that isn't a slow frame
+    stats.add(timings, 9000);
+    assert.strictEqual(stats.interval, 30);
+});
+
+test('quality steps down when frames are slow even if the stages look cheap', () => {
+    const quality = createQualityController({ budget: 33, downAfter: 100 });
+    // GPU stages only time the submit: 4 ms summed, 50 ms between frames
+    assert.strictEqual(quality.update(4, 0, 50), false);
+    assert.strictEqual(quality.update(4, 100, 50), true);
+    assert.strictEqual(quality.level, 1);
+});
+
+test('quality only steps up when the frame interval has headroom', () => {
+    const quality = createQualityController({ budget: 33, downAfter: 100, upAfter: 100 });
+    quality.update(40, 0);
+    quality.update(40, 100);
+    assert.strictEqual(quality.level, 1);
+
+    // Cheap stages but frames still arrive close to the budget: stay put
+    quality.update(2, 1000, 30);
+    assert.strictEqual(quality.update(2, 1200, 30), false);
+    assert.strictEqual(quality.level, 1);
+
+    quality.update(2, 2000, 17);
+    assert.strictEqual(quality.update(2, 2200, 17), true);
+    assert.strictEqual(quality.level, 0);
+});
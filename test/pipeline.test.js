@@ -0,0 +1,149 @@
+// Tests for the frame pipeline's layout, compare views and state helpers.
+// Run: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const { loadPsycheOS } = require('./helpers/load');
+const { createCanvas } = require('./helpers/canvas');
+const { createTestImage } = require('./helpers/fixtures');
+
+const PsycheOS = loadPsycheOS(['registry.js', 'kernels.js', 'gl.js', 'grade.js', 'lut.js', 'pipeline.js'], {
+    OffscreenCanvas: function (width, height) { return createCanvas(width, height); }
+});
+const { gridLayout } = PsycheOS;
+
+// Archetypes that paint the whole frame one color, so each grid cell and
+// each side of the split shows whose output it is
+const SOLID_COLORS = { red: [255, 0, 0], green: [0, 255, 0], blue: [0, 0, 255] };
+Object.keys(SOLID_COLORS).forEach(id => {
+    PsycheOS.registerArchetype({
+        id,
+        post(ctx, frame) {
+            ctx.fillStyle = `rgb(${SOLID_COLORS[id].join(', ')})`;
+            ctx.fillRect(0, 0, frame.width, frame.height);
+        }
+    });
+});
+
+/**
+ * A mock canvas that remembers every string drawn on it in texts
+ */
+function createTextCanvas(width, height) {
+    const canvas = createCanvas(width, height);
+    canvas.texts = [];
+    canvas.getContext('2d').fillText = (text) => canvas.texts.push(text);
+    return canvas;
+}
+
+/**
+ * A source frame showing the test card
+ */
+function createSource(width, height) {
+    const source = createCanvas(width, height);
+    source.getContext('2d').putImageData(createTestImage(width, height), 0, 0);
+    return source;
+}
+
+/**
+ * The RGBA values of one canvas pixel
+ */
+function pixelAt(canvas, x, y) {
+    return Array.from(canvas.getContext('2d').getImageData(x, y, 1, 1).data);
+}
+
+test('gridLayout fits five archetypes in a centered 3x2 grid', () => {
+    const cells = gridLayout(5, 1280, 720);
+    assert.strictEqual(cells.length, 5);
+    cells.forEach(cell => {
+        assert.strictEqual(cell.width, 426);
+        assert.strictEqual(cell.height, 240);
+    });
+    // Full first row, the short second row centered under it
+    assert.deepStrictEqual(Array.from(cells, cell => cell.x), [1, 427, 853, 214, 640]);
+    assert.deepStrictEqual(Array.from(cells, cell => cell.y), [120, 120, 120, 360, 360]);
+});
+
+test('gridLayout cells stay inside the canvas and never overlap', () => {
+    for (let count = 1; count <= 12; count++) {
+        const cells = gridLayout(count, 640, 480);
+        cells.forEach((a, i) => {
+            assert.ok(a.x >= 0 && a.y >= 0 && a.x + a.width <= 640 && a.y + a.height <= 480, `${count}: cell ${i}`);
+            assert.ok(Math.abs(a.width / a.height - 640 / 480) < 0.02, `${count}: cell ${i} aspect`);
+            cells.slice(i + 1).forEach(b => {
+                const apart = a.x + a.width <= b.x || b.x + b.width <= a.x ||
+                    a.y + a.height <= b.y || b.y + b.height <= a.y;
+                assert.ok(apart, `${count}: cells overlap`);
+            });
+        });
+    }
+});
+
+test('a single archetype fills the canvas', () => {
+    const cells = gridLayout(1, 320, 240);
+    assert.strictEqual(cells.length, 1);
+    assert.deepStrictEqual({ ...cells[0] }, { x: 0, y: 0, width: 320, height: 240 });
+});
+
+test('captures taken while recording leave out the REC badge', () => {
+    const canvas = createTextCanvas(64, 48);
+    const pipeline = PsycheOS.createPipeline(canvas);
+    const live = {
+        filterId: 'none',
+        width: 64,
+        height: 48,
+        time: 0,
+        recording: { elapsed: 3000, duration: 10000 } // recordingState === 'recording'
+    };
+
+    pipeline.render(createCanvas(64, 48), live);
+    assert.ok(canvas.texts.some(text => text.startsWith('REC')), 'the live frame shows the timer');
+
+    canvas.texts.length = 0;
+    pipeline.render(createCanvas(64, 48), PsycheOS.toCaptureState(live));
+    assert.deepStrictEqual(canvas.texts, []);
+    assert.notStrictEqual(live.recording, null, 'the live state is left alone');
+});
+
+test('the grid view shows each archetype in its own cell', () => {
+    const canvas = createCanvas(192, 144);
+    const pipeline = PsycheOS.createPipeline(canvas);
+    pipeline.render(createSource(192, 144), {
+        filterId: 'red',
+        width: 192,
+        height: 144,
+        time: 0,
+        compare: { mode: 'grid' }
+    });
+
+    const cells = gridLayout(3, 192, 144);
+    PsycheOS.listArchetypes().forEach((arch, i) => {
+        const cell = cells[i];
+        const center = pixelAt(canvas, cell.x + cell.width / 2, cell.y + cell.height / 3);
+        assert.deepStrictEqual(center, SOLID_COLORS[arch.id].concat(255), arch.id);
+    });
+    // The gap beside the centered last row stays black
+    assert.deepStrictEqual(pixelAt(canvas, 10, 120), [0, 0, 0, 255]);
+});
+
+test('the split view shows the raw source left of the line and the look right of it', () => {
+    const canvas = createCanvas(64, 48);
+    const pipeline = PsycheOS.createPipeline(canvas);
+    const source = createSource(64, 48);
+    pipeline.render(source, {
+        filterId: 'blue',
+        width: 64,
+        height: 48,
+        time: 0,
+        compare: { mode: 'split', position: 0.25 }
+    });
+
+    // The divider covers the two columns around x = 16
+    for (let y = 0; y < 48; y += 5) {
+        for (let x = 0; x < 64; x += 3) {
+            if (x >= 15 && x <= 16) continue;
+            const expected = x < 15 ? pixelAt(source, x, y) : [0, 0, 255, 255];
+            assert.deepStrictEqual(pixelAt(canvas, x, y), expected, `pixel ${x},${y}`);
+        }
+    }
+});
@@ -0,0 +1,103 @@
+// Psyche.OS ZIP writer
+// Minimal "stored" (uncompressed) ZIP archives: the entries we export are
+// PNGs and videos that are already compressed, so deflate would buy nothing.
+(function (root) {
+
+    const PsycheOS = root.PsycheOS = root.PsycheOS || {};
+
+    // --- CRC-32 ---
+    const CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        CRC_TABLE[n] = c >>> 0;
+    }
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * MS-DOS date/time fields used by ZIP headers
+     */
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Builds a ZIP Blob from [{ name, blob, date? }] entries
+     */
+    async function createZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = new Uint8Array(await file.blob.arrayBuffer());
+            const crc = crc32(data);
+            const { time, date } = dosDateTime(file.date || new Date());
+
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);          // Version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 names
+            local.setUint16(8, 0, true);           // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local.buffer, name, data);
+
+            // Matching central directory record
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true);         // Version made by
+            record.setUint16(6, 20, true);         // Version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, time, true);
+            record.setUint16(14, date, true);
+            record.setUint32(16, crc, true);
+            record.setUint32(20, data.length, true);
+            record.setUint32(24, data.length, true);
+            record.setUint16(28, name.length, true);
+            record.setUint32(42, offset, true);    // Local header offset
+            central.push(record.buffer, name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+        // End of central directory
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+
+    PsycheOS.zip = {
+        createZip,
+        crc32
+    };
+
+})(self);